@@ -1 +1 @@
-export const createStore=(t={})=>{const e="string"==typeof t?{name:t}:t,{name:n,initialState:o={},enableDevPanel:s=!1,syncStorage:a=!1,storageDriver:r=localStorage,storageEncrypt:d=JSON.stringify,storageDecrypt:c=JSON.parse}=e,i=!0===a?Object.keys(o):Array.isArray(a)?a:[],l=structuredClone(o),u=(t,e)=>e.split(".").reduce(((t,e)=>(t||{})[e]),t),p=(t,e,n)=>{const o=e.split("."),s=o.pop();o.reduce(((t,e)=>t[e]??={}),t)[s]=n};for(const t of i){const e=r.getItem(t);if(null!==e)try{p(l,t,c(e))}catch{p(l,t,e)}}const f=new Set,y=new Map,g=new Map,m=new Set,h=(t,e)=>{const n=structuredClone(l);f.forEach((n=>n({type:t,payload:e}))),m.forEach((t=>t(l,n))),"function"==typeof window.__storeDebugUpdate&&window.__storeDebugUpdate()},b={__syncKeys:i,getState:()=>structuredClone(l),dispatch:(t,e)=>{if("string"==typeof t){const[n,o]=t.split("-");if("set"===n&&o&&o.length){l[o]=e,S(o);for(const t of b.__syncKeys){if(o===t.split(".")[0]||o===t)try{const e=u(l,t);r.setItem(t,d(e))}catch{}}}}h(t,e)},subscribe:t=>(f.add(t),()=>f.delete(t)),watch:(t,e)=>{let n=structuredClone(l[t]);return b.subscribe((()=>{const o=l[t];("object"==typeof o&&null!==o?JSON.stringify(o)!==JSON.stringify(n):o!==n)&&(n=structuredClone(o),e(o))}))},watchAll:t=>(m.add(t),()=>m.delete(t)),when:(t,e)=>b.subscribe((({type:n,payload:o})=>{n===t&&e(o)})),once:(t,e)=>{const n=b.when(t,(t=>{e(t),n()}))},emit:(t,e)=>b.dispatch(t,e),computed:(t,e)=>{y.set(t,e)},get:t=>y.has(t)?y.get(t)(l):l[t],bind:(t,e)=>{g.has(t)||g.set(t,new Set),document.querySelectorAll(e).forEach((e=>{g.get(t).add(e),w(e,t)}))},autoBind:()=>{const t=new Set;document.querySelectorAll("[data-model]").forEach((e=>{const n=e.dataset.model;if(!n)return;if(b.bind(n,`[data-model="${n}"]`),t.add(n),e.dataset.modelBound)return;e.dataset.modelBound="true";const o="SELECT"===e.tagName||"INPUT"===e.tagName?"input":"change";if(e.addEventListener(o,(()=>{const t=e.value;u(l,n)!==t&&(p(l,n,t),b.dispatch(`set-${n}`,t,{skipHistory:!0}),"localStorage"===e.dataset.sync&&r.setItem(n,t))})),"localStorage"===e.dataset.sync){const t=r.getItem(n);null!==t&&(b.dispatch(`set-${n}`,t),e.value=t),b.watchPath(n,(t=>r.setItem(n,t)))}})),document.querySelectorAll("[data-bind]").forEach((e=>{const n=e.dataset.bind;n&&!t.has(n)&&b.bind(n,`[data-bind="${n}"]`)}))},link:(t,e,n)=>{t.watch(e,(t=>{const o="function"==typeof n?n(t):t;b.dispatch(`set-${e}`,o)}))},linkTwoWay:(t,e,n,o)=>{let s=!1;t.watch(e,(t=>{if(s)return;s=!0;const o="function"==typeof n?n(t):t;b.dispatch(`set-${e}`,o),s=!1})),b.watch(e,(n=>{if(s)return;s=!0;const a="function"==typeof o?o(n):n;t.dispatch(`set-${e}`,a),s=!1}))},bindAll:t=>{const e=e=>t.querySelectorAll(e),n=new Set;e("[data-model]").forEach((t=>{const e=t.dataset.model;if(!e)return;if(b.bind(e,`[data-model="${e}"]`),n.add(e),t.dataset.modelBound)return;t.dataset.modelBound="true";const o="SELECT"===t.tagName||"INPUT"===t.tagName?"input":"change";if(t.addEventListener(o,(()=>{const n=t.value;u(l,e)!==n&&(p(l,e,n),b.dispatch(`set-${e}`,n),"localStorage"===t.dataset.sync&&r.setItem(e,n))})),"localStorage"===t.dataset.sync){const n=r.getItem(e);null!==n&&(b.dispatch(`set-${e}`,n),t.value=n),b.watchPath(e,(t=>r.setItem(e,t)))}})),e("[data-bind]").forEach((t=>{const e=t.dataset.bind;e&&!n.has(e)&&b.bind(e,`[data-bind="${e}"]`)}))},linkPath:(t,e,n,o)=>{t.watchAll((t=>{const s=u(t,e);if(void 0!==s){const t=o?o(s):s;b.dispatch(`set-${n}`,t)}}))},watchPath:(t,e)=>{let n=structuredClone(u(l,t));return b.subscribe((()=>{const o=u(l,t);("object"==typeof o&&null!==o?JSON.stringify(o)!==JSON.stringify(n):o!==n)&&(n=structuredClone(o),e(o))}))}},w=(t,e)=>{let n=l[e]??"";"uppercase"===t.dataset.format?n=String(n).toUpperCase():"lowercase"===t.dataset.format?n=String(n).toLowerCase():"currency"===t.dataset.format?n=`$${parseFloat(n).toFixed(2)}`:"percent"===t.dataset.format?n=100*parseFloat(n)+"%":"iso-date"===t.dataset.format&&(n=new Date(n).toISOString());const o=t.dataset.prefix||"",s=t.dataset.suffix||"";t.textContent=`${o}${n}${s}`},S=t=>{const e=g.get(t);e&&e.forEach((e=>w(e,t)))};n&&(window[`${n}Store`]=b,window[`${n}State`]=()=>{});const x=[structuredClone(l)];let C=0;const E=()=>{const t=structuredClone(l);x.splice(C+1),x.push(t),C++},v=t=>{t<0||t>=x.length||(Object.keys(l).forEach((t=>delete l[t])),Object.assign(l,structuredClone(x[t])),f.forEach((t=>t({type:"history-jump",payload:l}))),m.forEach((t=>t(l,l))),"function"==typeof window.__storeDebugUpdate&&window.__storeDebugUpdate())};b.undo=()=>!(C<=0)&&(C--,v(C),!0),b.redo=()=>!(C>=x.length-1)&&(C++,v(C),!0),b.__getHistory=()=>structuredClone(x),b.jumpTo=t=>{"number"==typeof t&&t>=0&&t<x.length&&(v(t),C=t)},E();const I=b.dispatch.bind(b);let $;if(b.dispatch=(t,e,n={})=>{const o=structuredClone(l);I(t,e);JSON.stringify(o)!==JSON.stringify(l)&&!n.skipHistory&&(E(),"function"==typeof $&&$())},s&&"undefined"!=typeof window){const t=document.createElement("div");t.style="\n      position:fixed;bottom:14px;right:0;z-index:9999;\n      font:12px monospace;max-width:600px;\n      background:#fff;border:1px solid #ccc;box-shadow:0 0 4px rgba(0,0,0,.25);\n      height:20px;\n    ",t.innerHTML='\n    <div style="display:flex;justify-content:space-between;padding:4px 6px;background:#f5f5f5">\n      <strong style="margin-right: 15px;margin-top: 6.5px;">Store </strong>\n      <select class="form-select form-select-sm ms-auto" id="wfHistoryJump" style="width: auto;">\n        <option value="0">State #0</option>\n      </select>\n      <div class="d-flex gap-2 align-items-center">\n        <button class="btn btn-sm btn-outline-secondary" id="wfUndo">◀</button>\n        <button class="btn btn-sm btn-outline-secondary" id="wfRedo">▶</button>\n        <button class="btn btn-sm btn-outline-secondary" id="wfToggleStore">Show</button>\n      </div>\n    </div>\n    <div id="wfStoreControls" style="padding:4px 6px;display:flex;gap:4px">\n      <button class="btn btn-sm btn-outline-primary" id="wfStoreRefresh">Refresh</button>\n      <button class="btn btn-sm btn-outline-danger"  id="wfStoreClear">Clear</button>\n    </div>\n    <pre id="wfStoreDump" style="margin:0;padding:6px 6px 8px;height:140px;overflow:auto;display:none;"></pre>',document.body.appendChild(t);const e=document.getElementById("wfStoreDump"),n=document.getElementById("wfToggleStore"),s=document.getElementById("wfStoreRefresh"),a=document.getElementById("wfStoreClear"),d=document.getElementById("wfHistoryJump");$=()=>{d.innerHTML="",b.__getHistory().forEach(((t,e)=>{const n=document.createElement("option");n.value=e,n.textContent=`State #${e}`,e===C&&(n.selected=!0),d.appendChild(n)}))},d.onchange=()=>{const t=parseInt(d.value);b.jumpTo(t),$()};let c=!1;const i=()=>{e.textContent=JSON.stringify(b.getState(),null,2)};window.__storeDebugUpdate=i,s.onclick=i,a.onclick=()=>{for(const t of b.__syncKeys)try{r.removeItem(t)}catch{}Object.keys(l).forEach((t=>delete l[t])),Object.assign(l,structuredClone(o)),x.length=0,x.push(structuredClone(l)),C=0;for(const t of Object.keys(l))S(t);h("devpanel-clear",structuredClone(l)),i(),$?.()},n.onclick=()=>{c=!c,t.style.height=c?"auto":"20px",e.style.display=c?"block":"none",n.textContent=c?"Hide":"Show"};const u=document.getElementById("wfUndo"),p=document.getElementById("wfRedo");u&&(u.onclick=()=>b.undo()),p&&(p.onclick=()=>b.redo()),window.addEventListener("keydown",(t=>{(navigator.platform.toLowerCase().includes("mac")?t.metaKey:t.ctrlKey)&&"z"===t.key.toLowerCase()&&(t.shiftKey?b.redo():b.undo(),t.preventDefault())})),i()}return b};
\ No newline at end of file
+const e=()=>"undefined"!=typeof document,t=e=>"function"==typeof e?.then,n=(e,n)=>t(e)?e.then(n):n(e),r=e=>e.map(e=>`/${String(e).replace(/~/g,"~0").replace(/\//g,"~1")}`).join(""),o=e=>""===e?[]:e.slice(1).split("/").map(e=>e.replace(/~1/g,"/").replace(/~0/g,"~")),s=e=>{const t=JSON.stringify(e)??"";let n=2166136261;for(let e=0;e<t.length;e++)n^=t.charCodeAt(e),n=Math.imul(n,16777619);return(n>>>0).toString(16).padStart(8,"0")},a=/[<>&\u2028\u2029]/g,i=(e,t)=>{if(Object.is(e,t))return!0;if(!e||!t||"object"!=typeof e||"object"!=typeof t)return!1;if(Object.getPrototypeOf(e)!==Object.getPrototypeOf(t))return!1;if(e instanceof Date)return Object.is(e.getTime(),t.getTime());if(e instanceof Map)return e.size===t.size&&[...e].every(([e,n])=>t.has(e)&&i(n,t.get(e)));if(e instanceof Set)return e.size===t.size&&[...e].every(e=>t.has(e));if(Array.isArray(e))return e.length===t.length&&e.every((e,n)=>i(e,t[n]));if(Object.getPrototypeOf(e)!==Object.prototype&&null!==Object.getPrototypeOf(e))return!1;const n=Object.keys(e);return n.length===Object.keys(t).length&&n.every(n=>Object.hasOwn(t,n)&&i(e[n],t[n]))},c={identity:Object.is,shallow:(e,t)=>{if(Object.is(e,t))return!0;if(Array.isArray(e)&&Array.isArray(t))return e.length===t.length&&e.every((e,n)=>Object.is(e,t[n]));if(!e||!t||"object"!=typeof e||"object"!=typeof t||Array.isArray(e)||Array.isArray(t))return!1;if(Object.getPrototypeOf(e)!==Object.getPrototypeOf(t)||Object.getPrototypeOf(e)!==Object.prototype)return!1;const n=Object.keys(e);return n.length===Object.keys(t).length&&n.every(n=>Object.hasOwn(t,n)&&Object.is(e[n],t[n]))},deep:i},l=e=>{const t="function"==typeof e?e:c[e];if(!t)throw new TypeError(`Unknown equality check "${e}"`);return t},d=(e,{persist:t})=>!0===t?[e]:Array.isArray(t)?t.map(t=>`${e}.${t}`):[],p={uppercase:e=>String(e).toUpperCase(),lowercase:e=>String(e).toLowerCase(),trim:e=>String(e).trim(),number:(e,{locale:t,options:n})=>new Intl.NumberFormat(t,n).format(e),currency:(e,{locale:t,currency:n,options:r})=>new Intl.NumberFormat(t,{style:"currency",currency:n||"USD",...r}).format(e),percent:(e,{locale:t,options:n})=>new Intl.NumberFormat(t,{style:"percent",...n}).format(e),date:(e,{locale:t,options:n})=>new Intl.DateTimeFormat(t,Object.keys(n).length?n:{dateStyle:"medium"}).format(new Date(e)),"iso-date":e=>new Date(e).toISOString(),"relative-time":(e,{locale:t,options:n})=>{const[r,o]=(e=>{const[t,n]=[["year",31536e3],["month",2592e3],["week",604800],["day",86400],["hour",3600],["minute",60]].find(([,t])=>Math.abs(e)>=t)||["second",1];return[Math.round(e/n),t]})((new Date(e).getTime()-Date.now())/1e3);return new Intl.RelativeTimeFormat(t,{numeric:"auto",...n}).format(r,o)}},u=e=>Object.fromEntries(Object.entries(e.dataset).filter(([e])=>/^format[A-Z]/.test(e)).map(([e,t])=>{const n=e.charAt(6).toLowerCase()+e.slice(7);return"true"===t||"false"===t?[n,"true"===t]:[n,""===t.trim()||Number.isNaN(Number(t))?t:Number(t)]}));export const createMemoryStorage=(e={})=>{const t=new Map(Object.entries(e));return{getItem:e=>t.has(e)?t.get(e):null,setItem:(e,n)=>{t.set(e,String(n))},removeItem:e=>{t.delete(e)}}};export const createIndexedDBStorage=({dbName:e="simple-reactive-store",storeName:t="state"}={})=>{let n=null;const r=(r,o)=>(n??=new Promise((n,r)=>{const o=indexedDB.open(e,1);o.onupgradeneeded=()=>o.result.createObjectStore(t),o.onsuccess=()=>n(o.result),o.onerror=()=>r(o.error)}),n).then(e=>new Promise((n,s)=>{const a=e.transaction(t,r),i=o(a.objectStore(t));a.oncomplete=()=>n(i.result),a.onerror=()=>s(a.error),a.onabort=()=>s(a.error)}));return{getItem:e=>r("readonly",t=>t.get(e)).then(e=>e??null),setItem:(e,t)=>r("readwrite",n=>n.put(t,e)).then(()=>{}),removeItem:e=>r("readwrite",t=>t.delete(e)).then(()=>{})}};export const createLoopbackTransport=()=>{const e=[{handlers:null},{handlers:null}];let t=!0;const n=()=>t&&e.every(e=>e.handlers),[r,o]=e.map((t,r)=>{const o=e[1-r];return{send:e=>{if(!n())return;const t=structuredClone(e);queueMicrotask(()=>n()&&o.handlers.onMessage(t))},connect:r=>(t.handlers=r,n()&&e.forEach(e=>queueMicrotask(()=>e.handlers?.onOpen?.())),()=>{const e=n();t.handlers=null,e&&o.handlers?.onClose?.()})}});return{a:r,b:o,setConnected:r=>{if(r===t)return;const o=n();t=r;const s=o?"onClose":n()?"onOpen":null;s&&e.forEach(e=>queueMicrotask(()=>e.handlers?.[s]?.()))}}};export const createWebSocketTransport=(e,{protocols:t,reconnectDelay:n=1e3,maxReconnectDelay:r=3e4}={})=>{let o=null,s=null,a=0,i=null;const c=()=>{o=new WebSocket(e,t),o.onopen=()=>{a=0,s.onOpen?.()},o.onmessage=e=>{try{s.onMessage(JSON.parse(e.data))}catch{}},o.onclose=()=>{s&&(s.onClose?.(),i=setTimeout(c,Math.min(n*2**a++,r)))}};return{send:e=>{1===o?.readyState&&o.send(JSON.stringify(e))},connect:e=>(s=e,c(),()=>{s=null,clearTimeout(i),o?.close()})}};export const createMessageTransport=(e,{targetOrigin:t}={})=>{const n=e.window===e,r=n?globalThis:e;return{send:r=>n?e.postMessage(r,t):e.postMessage(r),connect:o=>{const s=r=>{n&&(r.source!==e||"*"!==t&&r.origin!==t)||o.onMessage(r.data)};return r.addEventListener("message",s),e.start?.(),queueMicrotask(()=>o.onOpen?.()),()=>r.removeEventListener("message",s)}}};let h=0,f=null;const y=(e,t={},...n)=>{const r=document.createElement(e);return Object.entries(t).forEach(([e,t])=>{/^(data|aria)-/.test(e)?r.setAttribute(e,t):r[e]=t}),r.append(...n),r},g=(e,t=80)=>{let n;try{n=void 0===e?"undefined":JSON.stringify(e)}catch{n=String(e)}return n.length>t?`${n.slice(0,t-1)}…`:n},m=()=>{const e=new Map;let t=null,n="state",r="",o=null,s=!0,a=!1;const i=y("div",{"data-store-devtools":""}),c=i.attachShadow({mode:"open"}),l=y("span"),d=y("select",{title:"History"}),p=y("button",{textContent:"◀",title:"Undo (Ctrl+Z)"}),u=y("button",{textContent:"▶",title:"Redo (Ctrl+Shift+Z)"}),m=y("button",{textContent:"Show"}),b=y("nav",{className:"views"},...["state","actions","inspector"].map(e=>y("button",{textContent:e[0].toUpperCase()+e.slice(1),"data-view":e}))),v=y("div",{className:"body"}),w=y("div",{className:"panel collapsed"},y("header",{},y("strong",{textContent:"Store"}),l,d,p,u,m),b,v);c.append(y("style",{textContent:'\n  :host { all: initial; }\n  .panel { position: fixed; bottom: 14px; right: 0; z-index: 2147483647; width: 560px; max-width: 100vw;\n    font: 12px/1.4 ui-monospace, monospace; color: #222; background: #fff; border: 1px solid #ccc;\n    box-shadow: 0 0 6px rgba(0,0,0,.25); }\n  header, nav { display: flex; gap: 4px; align-items: center; padding: 4px 6px; background: #f5f5f5; flex-wrap: wrap; }\n  header strong { margin-right: auto; }\n  button, select, input { font: inherit; }\n  button[aria-selected="true"] { font-weight: bold; border-bottom: 2px solid #36c; }\n  .body { height: 260px; overflow: auto; padding: 4px 6px; }\n  .collapsed .body, .collapsed .views { display: none; }\n  table { border-collapse: collapse; width: 100%; }\n  td, th { text-align: left; padding: 1px 4px; border-bottom: 1px solid #eee; vertical-align: top; }\n  td input { width: 100%; box-sizing: border-box; }\n  ol { list-style: none; margin: 0; padding: 0; }\n  li { display: flex; gap: 6px; padding: 1px 2px; cursor: pointer; }\n  li[aria-selected="true"] { background: #e8f0fe; }\n  li .payload { flex: 1; color: #666; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }\n  li .duration { color: #999; }\n  pre { margin: 4px 0; white-space: pre-wrap; }\n  .add { color: #080; } .remove { color: #b00; } .replace { color: #a60; }\n  h4 { margin: 6px 0 2px; }\n'}),w),document.body.appendChild(i);const O=()=>e.get(t),E=e=>{const t=[],n=(e,r)=>{null!==e&&"object"==typeof e&&(Array.isArray(e)||Object.getPrototypeOf(e)===Object.prototype)&&Object.keys(e).length&&r?Object.keys(e).forEach(t=>n(e[t],`${r}.${t}`)):r?t.push([r,e]):Object.keys(e).forEach(t=>n(e[t],t))};return n(e.getState(),""),y("div",{},y("button",{textContent:"Reset",title:"Reset to the initial state and clear synced storage",onclick:()=>e.clear()}),y("table",{},...t.map(([t,n])=>y("tr",{},y("th",{textContent:t}),y("td",{},y("input",{value:g(n,1/0),"aria-label":t,onchange:n=>{let r=n.target.value;try{r=JSON.parse(r)}catch{}e.edit(t,r)},onblur:()=>k()}))))))},S=e=>{const t=y("input",{type:"search",placeholder:"Filter by type",value:r});t.oninput=()=>{r=t.value,$()};const n=e.log.filter(e=>e.type.toLowerCase().includes(r.toLowerCase())),s=e.log.find(e=>e.id===o),a=s&&s.patches.length?s.patches.map(({op:e,path:t,value:n})=>{const r=s.inversePatches.find(e=>e.path===t),o="remove"===e?g(r?.value):"replace"===e?`${g(r?.value)} → ${g(n)}`:g(n);return y("div",{className:e,textContent:`${e} ${t}: ${o}`})}):[s?"No state changes":"Select an action to see its changes"];return y("div",{},t,y("ol",{},...n.slice().reverse().map(e=>y("li",{"aria-selected":String(e.id===o),onclick:()=>{o=e.id,$()}},y("code",{textContent:e.type}),y("span",{className:"payload",textContent:g(e.payload)}),y("span",{className:"duration",textContent:void 0===e.duration?"":`${e.duration.toFixed(1)} ms`})))),y("pre",{},...a))},x=e=>{const{computed:t,watchers:n,bindings:r,effects:o}=e.inspect(),s=(e,t)=>[y("h4",{textContent:`${e} (${t.length})`}),y("table",{},...t.map(e=>y("tr",{},...e.map(e=>y("td",{textContent:e})))))];return y("div",{},...s("Computed",t.map(({key:e,value:t,deps:n,dirty:r})=>[e,g(t),n.join(", "),r?"dirty":""])),...s("Watchers",n.map(({path:e,count:t})=>[e,`${t}×`])),...s("Bindings",r.map(({path:e,count:t})=>[e,`${t} element${1===t?"":"s"}`])),...s("Effects",o.map(({type:e,status:t})=>[e,t])))},$=()=>{a=!1;const r=O();if(!r)return;if(l.replaceChildren(...[...e].map(([e,{label:n}])=>y("button",{textContent:n,"aria-selected":String(e===t),onclick:()=>{t=e,o=null,$()}}))),d.replaceChildren(...r.history().map(({label:e,current:t},n)=>y("option",{value:n,textContent:`#${n} ${e}`,selected:t}))),b.querySelectorAll("button").forEach(e=>e.setAttribute("aria-selected",String(e.dataset.view===n))),w.classList.toggle("collapsed",s),m.textContent=s?"Show":"Hide",s)return;if("state"===n&&v.contains(c.activeElement))return;const i={state:E,actions:S,inspector:x}[n],p="search"===c.activeElement?.type;v.replaceChildren(i(r)),p&&v.querySelector('input[type="search"]')?.focus()},k=()=>{a||(a=!0,queueMicrotask($))};d.onchange=()=>O()?.jumpTo(Number(d.value)),p.onclick=()=>O()?.undo(),u.onclick=()=>O()?.redo(),m.onclick=()=>{s=!s,$()},b.onclick=e=>{e.target.dataset.view&&(n=e.target.dataset.view,$())};const j=e=>{if((e=>{const t=e.composedPath?.()[0]??e.target;return Boolean(t&&(t.isContentEditable||["INPUT","TEXTAREA","SELECT"].includes(t.tagName)))})(e))return;(/mac/i.test(navigator.platform)?e.metaKey:e.ctrlKey)&&"z"===e.key.toLowerCase()&&O()&&(e.shiftKey?O().redo():O().undo(),e.preventDefault())};return window.addEventListener("keydown",j),{add:n=>{const r=++h;return n.label??=`store ${r}`,e.set(r,n),t??=r,n.onUpdate=k,k(),()=>{e.delete(r),t===r&&(t=e.keys().next().value??null),e.size?k():(window.removeEventListener("keydown",j),i.remove(),f=null)}}}};export const createStore=(i={})=>{const c="string"==typeof i?{name:i}:i,{name:h,initialState:y={},modules:g={},enableDevPanel:b=!1,syncStorage:v=!1,storageDriver:w=globalThis.localStorage,storageEncrypt:O=JSON.stringify,storageDecrypt:E=JSON.parse,schema:S={},validationMode:x="reject",sanitizeHtml:$,localeKey:k="locale",hydrate:j,version:T=0,migrate:A,storageVersionKey:C="__storeVersion",storageDebounce:N=0,storageThrottle:M=0,crossTab:P=!1,history:L={},reduxDevTools:D=!1}=c,{limit:I=100,exclude:R=[],groupWithin:W=0}=L,_={...y};Object.entries(g).forEach(([e,t])=>{_[e]=t.initialState??{}});const z=[...new Set([...!0===v?Object.keys(y):Array.isArray(v)?v:[],...Object.entries(g).flatMap(([e,t])=>d(e,t))])],q="string"==typeof j?JSON.parse(j):j,H=structuredClone({..._,...q}),J=(e,t)=>t.split(".").reduce((e,t)=>(e||{})[t],e),B=Symbol("remove"),U=e=>null!==e&&"object"==typeof e&&[Object.prototype,null].includes(Object.getPrototypeOf(e)),K=(e,t,n)=>{if(!t.length)return n(e);const[r,...o]=t,s=null!==e&&"object"==typeof e?e:{},a=K(s[r],o,n);if(a===B?!(r in s):r in s&&Object.is(a,s[r]))return e;const i=Array.isArray(s)?[...s]:{...s};return a!==B?i[r]=a:Array.isArray(i)?i.splice(Number(r),1):delete i[r],i},F=(e,t,n)=>{const[r,...o]=t.split("."),s=K(e[r],o,n);return s===B?r in e&&(delete e[r],!0):(!(r in e)||!Object.is(s,e[r]))&&(e[r]=s,!0)},G=e=>{Object.keys(H).forEach(e=>delete H[e]),Object.assign(H,e)},V=(e,t,n="",r=[])=>{if(Object.is(e,t))return e;const o=Array.isArray(e)&&Array.isArray(t);if(o||U(e)&&U(t)){const s=o?[]:{};let a=o?e.length===t.length:Object.keys(e).length===Object.keys(t).length;o&&!a&&r.push(n);for(const o of Object.keys(t)){const i=n?`${n}.${o}`:o;s[o]=o in e?V(e[o],t[o],i,r):t[o],o in e||r.push(i),s[o]===e[o]&&o in e||(a=!1)}for(const o of Object.keys(e))o in t||r.push(n?`${n}.${o}`:o);return a?e:s}return e instanceof Date&&t instanceof Date&&e.getTime()===t.getTime()?e:(r.push(n),t)},X=(e,t,n=[],o=[])=>{if(Object.is(e,t))return o;const s=r(n);if(void 0===t)o.push({op:"remove",path:s});else if(void 0===e)o.push({op:"add",path:s,value:t});else if(Array.isArray(e)&&Array.isArray(t)){const s=Math.min(e.length,t.length);for(let r=0;r<s;r++)X(e[r],t[r],[...n,r],o);for(let e=s;e<t.length;e++)o.push({op:"add",path:r([...n,e]),value:t[e]});for(let t=e.length-1;t>=s;t--)o.push({op:"remove",path:r([...n,t])})}else if(U(e)&&U(t)){for(const s of Object.keys(e))s in t||o.push({op:"remove",path:r([...n,s])});for(const r of Object.keys(t))X(r in e?e[r]:void 0,t[r],[...n,r],o)}else o.push({op:"replace",path:s,value:t});return o},Z=(e,t)=>t.reduce((e,{op:t,path:n,from:r,value:s})=>{const a=o(n),i=a.slice(0,-1),c=a[a.length-1],l=t=>o(t).reduce((e,t)=>null==e?void 0:e[t],e),d=(e,t)=>K(e,i,e=>{if(!Array.isArray(e))return{...e,[c]:t};const n="-"===c?e.length:Math.min(Number(c),e.length);return[...e.slice(0,n),t,...e.slice(n)]}),p=(e,t)=>{if(!t.length)return{};return void 0!==t.reduce((e,t)=>null!=e&&"object"==typeof e&&t in e?e[t]:void 0,e)?K(e,t,()=>B):e};if(!a.length&&["add","replace"].includes(t))return{...s};switch(t){case"add":return d(e,s);case"remove":return p(e,a);case"replace":return K(e,a,()=>s);case"copy":return d(e,l(r));case"move":return d(p(e,o(r)),l(r));case"test":if(V(l(n),s)!==l(n))throw new Error(`Patch test failed at "${n}"`);return e;default:throw new Error(`Unknown patch operation "${t}"`)}},e),Q=(e,t)=>e===t||e.startsWith(`${t}.`)||t.startsWith(`${e}.`),Y={set:(e,t)=>t,merge:(e,t)=>({...e??{},...t}),push:(e,t)=>[...Array.isArray(e)?e:[],t],remove:(e,t)=>(Array.isArray(e)?e:[]).filter(e=>"function"==typeof t?!t(e):e!==t),toggle:(e,t)=>"boolean"==typeof t?t:!e},ee=new Map,te=e=>{if("string"!=typeof e)return null;const t=e.indexOf("/");if(t>0&&ee.has(e.slice(0,t))){const n=te(e.slice(t+1));return n&&{...n,path:`${e.slice(0,t)}.${n.path}`}}const n=e.indexOf("-");if(n<=0)return null;const r=e.slice(0,n),o=e.slice(n+1);return!o||"delete"!==r&&!(r in Y)?null:{verb:r,path:o}};let ne={};const re=(e,t,n,r)=>{const o=n=>t.message||`${e} ${n}`;if(null==n||""===n)return t.required?o("is required"):null;const s={string:e=>"string"==typeof e,number:e=>"number"==typeof e&&!Number.isNaN(e),integer:e=>Number.isInteger(e),boolean:e=>"boolean"==typeof e,array:e=>Array.isArray(e),object:e=>U(e),date:e=>e instanceof Date&&!Number.isNaN(e.getTime())};if(t.type&&s[t.type]&&!s[t.type](n))return o(`must be a ${t.type}`);if(t.enum&&!t.enum.includes(n))return o(`must be one of ${t.enum.join(", ")}`);if(void 0!==t.min&&n<t.min)return o(`must be at least ${t.min}`);if(void 0!==t.max&&n>t.max)return o(`must be at most ${t.max}`);if(void 0!==t.minLength&&n.length<t.minLength)return o(`must have at least ${t.minLength} characters`);if(void 0!==t.maxLength&&n.length>t.maxLength)return o(`must have at most ${t.maxLength} characters`);if(t.pattern&&!t.pattern.test(String(n)))return o("has an invalid format");if("function"==typeof t.validate){const e=t.validate(n,r);if(!0!==e&&void 0!==e)return"string"==typeof e?e:o("is invalid")}return null},oe=(e,t)=>{const n=S[e];return n&&"string"==typeof t?["number","integer","date","boolean"].includes(n.type)&&""===t.trim()?null:"number"===n.type||"integer"===n.type?Number(t):"boolean"===n.type?["true","on","1"].includes(t.toLowerCase()):"date"===n.type?new Date(t):t:t},se=(e,t)=>{const n={},r=[];for(const[o,s]of Object.entries(S)){if(t&&!t.some(e=>Q(e,o)))continue;const a=re(o,s,J(e,o),e);if(a&&(n[o]=a),(ne[o]??null)===a)continue;const{[o]:i,...c}=ne;ne=a?{...c,[o]:a}:c,r.push(`$errors.${o}`)}return{errors:n,errorChanges:r}},ae=new Set,ie=new Map;let ce=!1,le=null,de=0,pe=Promise.resolve();const ue=(e,t,n)=>{queueMicrotask(()=>et("persistence-error",{operation:e,key:n,error:t}))},he=e=>{try{return E(e)}catch{return e}},fe=(e=z)=>{const r=[C,...e],o=r.map(e=>{try{return w.getItem(e)}catch(t){return ue("read",t,e),null}}),s=o.some(t)?Promise.all(o.map((e,t)=>Promise.resolve(e).catch(e=>(ue("read",e,r[t]),null)))):o;return n(s,([t,...n])=>{const r={};n.forEach((t,n)=>{null!=t&&(r[e[n]]=he(t))});const o=null==t?0:Number(he(t));return o===T?r:((e,t,n)=>{if(n.forEach(e=>ae.add(e)),ae.add(C),!Object.keys(e).length||"function"!=typeof A)return{};const r={};Object.entries(e).forEach(([e,t])=>F(r,e,()=>t));try{const e=A(r,t);return Object.fromEntries(n.map(t=>[t,J(e,t)]).filter(([,e])=>void 0!==e))}catch(e){return ue("migrate",e,C),{}}})(r,o,e)})},ye=e=>{let t={...H};for(const[n,r]of Object.entries(e)){const e={...t};F(e,n,()=>oe(n,r));const{errors:o}=se(e,[n]);Object.keys(o).length&&(console.warn(`Invalid stored value for "${n}"`,o),"warn"!==x)?se(t,[n]):t=e}return t},ge=w&&z.length?fe():{};t(ge)||(G(ye(ge)),ce=!0);const me=new Set,be=new Map,ve=[],we=new WeakMap,Oe=new Map,Ee=new Map,Se={};let xe={};const $e=new Map,ke=new WeakMap,je=new WeakMap,Te=new WeakMap,Ae=new WeakMap,Ce=new Map(Object.entries(p)),Ne=new Set,Me=new WeakMap,Pe=new Set,Le=new Set,De=new Set;let Ie=null;const Re=new Set;let We=null,_e=0,ze=!1,qe=null;const He=new Map;let Je=null,Be=0;const Ue=new Set,Ke=[],Fe=e=>{const t=ve[ve.length-1];t&&t.add(e)},Ge=(e,t)=>{const n=new Proxy(e,{get:(e,n,r)=>{const o=Reflect.get(e,n,r);if("symbol"==typeof n)return o;const s=t?`${t}.${n}`:n;return U(o)?Ge(o,s):(Fe(s),o)},has:(e,n)=>("symbol"!=typeof n&&Fe(t?`${t}.${n}`:n),Reflect.has(e,n)),ownKeys:e=>(Fe(t),Reflect.ownKeys(e)),set:()=>!1,deleteProperty:()=>!1});return we.set(n,{target:e,path:t}),n},Ve=e=>{const t=new Set;ve.push(t);try{const n=e(Ge(H,""),it.get),r=we.get(n);return r&&Fe(r.path),{value:r?r.target:n,deps:t}}finally{ve.pop()}},Xe=(e,t)=>{const{deps:n}=be.get(e);return!(n&&!n.has(""))||[...n].some(e=>t.some(t=>Q(e,t)))},Ze=(...e)=>{be.forEach((t,n)=>{e.length&&!Xe(n,e)||(t.dirty=!0)})},Qe=(e,t=!1)=>{e.length&&(Re.forEach(n=>{if(!Re.has(n)||![...n.deps].some(t=>""===t||e.some(e=>Q(t,e))))return;const r=n.value,{value:o,deps:s}=Ve(n.selector);n.value=o,n.deps=s,t||n.equals(r,o)||(n.once&&Re.delete(n),n.callback(o,r))}),He.forEach((n,r)=>{if(!(be.has(r)?Xe(r,e):e.some(e=>Q(r,e))))return;const o=it.get(r);n.forEach(e=>{Object.is(o,e.prev)||(e.prev=o,t||e.fn(o))})}))},Ye=(e,t)=>{const n={prev:it.get(e),fn:t};return He.has(e)||He.set(e,new Set),He.get(e).add(n),()=>{const t=He.get(e);t&&(t.delete(n),t.size||He.delete(e))}},et=(e,t,n=[],r=H)=>{if(Be)return void Ke.push({type:e,payload:t});const o=X(r,H),s=X(H,r);We&&!_e&&o.length&&Xt(Vt({kind:"patch",type:e,patches:o})),me.forEach(n=>n({type:e,payload:t,patches:o,inversePatches:s})),Qe(n),De.forEach(e=>e(n)),Le.forEach(e=>e(H,r,{patches:o,inversePatches:s})),Ie?.()},tt=()=>{clearTimeout(le),le=null,de=Date.now();const e=[...ae];ae.clear();const t=Promise.all(e.map(e=>{try{const t=e===C?T:J(H,e),n=void 0===t?w.removeItem(e):w.setItem(e,O(t));return Promise.resolve(n).catch(t=>ue("write",t,e))}catch(t){return void ue("write",t,e)}}));return pe=Promise.all([pe,t]).then(()=>{}),pe},nt=()=>{if(ae.size&&ce)if(M){const e=de+M-Date.now();e<=0?tt():le??=setTimeout(tt,e)}else N?(clearTimeout(le),le=setTimeout(tt,N)):tt()},rt=(...e)=>{if(w){for(const t of it.__syncKeys)e.some(e=>Q(e,t))&&ae.add(t);nt()}},ot=(...e)=>{e.length&&(Ze(...e),Be?e.forEach(e=>Ue.add(e)):(Ct(...e),rt(...e)))},st=e=>{const t=[],n=V({...H},e,"",t);return t.length?(G(n),ot(...t),t):t},at=(e,t,n,r)=>{const o=`$effects.${e}`;Se[e]={...Se[e],...t},ot(o),et(`${e}-${n}`,r,[o])},it={__syncKeys:z,getState:()=>structuredClone(H),serialize:()=>JSON.stringify(H).replace(a,e=>`\\u${e.charCodeAt(0).toString(16).padStart(4,"0")}`),dispatch:(e,t,n={})=>{const r={...H},o=te(e);let s=r,a=[];if(Oe.has(e)){const n=structuredClone(H),o=Oe.get(e)(n,t);s=V(r,void 0===o?n:o,"",a)}else if("apply-patches"===e)s=V(r,Z(r,t),"",a);else if(o&&!Ee.has(e)){const{verb:e,path:n}=o;s={...H};F(s,n,"delete"===e?()=>B:n=>V(n,Y[e](n,t)))&&(a=[n])}const{errors:i,errorChanges:c}=a.length?se(s,a):{errors:{},errorChanges:[]},l=Object.keys(i).length>0;if(l&&"warn"===x&&console.warn(`Invalid update "${e}"`,i),l&&"warn"!==x&&(a=[]),a.length&&G(s),ot(...a,...c),!l||"warn"===x)return!a.length||Be||n.skipHistory||Je?.(r,{type:e,label:n.historyLabel,group:n.historyGroup}),et(e,t,[...a,...c],r),Ee.has(e)&&!ze?((e,t)=>{const n=Ee.get(e);"takeLatest"===n.mode&&(n.runs.forEach(e=>e.abort()),n.runs.clear());const r=new AbortController;n.runs.add(r),at(e,{status:"pending",error:null},"pending",t);const{signal:o}=r,s={dispatch:(...e)=>o.aborted?void 0:it.dispatch(...e),getState:it.getState,signal:o},a=(t,s,a)=>{if(n.runs.delete(r),!o.aborted)return n.runs.size&&(t={...t,status:"pending"}),at(e,t,s,a),"fulfilled"===s?a:void 0};return Promise.resolve().then(()=>n.fn(t,s)).then(e=>a({status:"fulfilled",data:e,error:null},"fulfilled",e),e=>a({status:"rejected",error:e},"rejected",e))})(e,t):void 0;et("validation-error",{type:e,payload:t,errors:i},c,r)},action:(e,t)=>(Oe.set(e,t),()=>{Oe.get(e)===t&&Oe.delete(e)}),effect:(e,t,{mode:n="takeLatest"}={})=>{const r={fn:t,mode:n,runs:new Set};return Ee.set(e,r),Se[e]={status:"idle",data:void 0,error:null},ot(`$effects.${e}`),()=>{r.runs.forEach(e=>e.abort()),r.runs.clear(),Ee.get(e)===r&&(Ee.delete(e),Se[e]={...Se[e],status:"idle"},ot(`$effects.${e}`))}},get errors(){return ne},validate:()=>{const{errors:e,errorChanges:t}=se(H);return ot(...t),et("validate",e,t),0===Object.keys(e).length},subscribe:e=>(me.add(e),()=>me.delete(e)),watch:(e,t)=>Ye(e,t),watchAll:e=>(Le.add(e),()=>Le.delete(e)),select:(e,t,{equals:n="identity",immediate:r=!1,fireOnce:o=!1}={})=>{const{value:s,deps:a}=Ve(e),i={selector:e,callback:t,equals:l(n),value:s,deps:a,once:o};return r&&(t(s,void 0),o)?()=>!1:(Re.add(i),()=>Re.delete(i))},selectAll:(e,t,{equals:n="identity",...r}={})=>{const o=l(n);return it.select((t,n)=>e.map(e=>e(t,n)),t,{...r,equals:(e,t)=>t.every((t,n)=>o(e[n],t))})},when:(e,t)=>it.subscribe(({type:n,payload:r})=>{n===e&&t(r)}),once:(e,t)=>{const n=it.when(e,e=>{t(e),n()})},emit:(e,t)=>it.dispatch(e,t),computed:(e,t)=>{be.set(e,{fn:t,value:void 0,deps:null,dirty:!0}),Ct(e)},get:e=>be.has(e)?(e=>{const t=be.get(e);if(t.dirty){const{value:e,deps:n}=Ve(t.fn);t.value=V(t.value,e),t.deps=n,t.dirty=!1}return t.deps.forEach(Fe),t.value})(e):(Fe(e),"$effects"===e||e.startsWith("$effects.")?J({$effects:Se},e):"$errors"===e?ne:e.startsWith("$errors.")?ne[e.slice(8)]:"$history"===e||e.startsWith("$history.")?J({$history:xe},e):J(H,e)),formatter:(e,t)=>{Ce.set(e,t),$e.forEach((e,t)=>e.forEach(e=>{e.dataset.format&&At(e,t)}))},bind:(t,n)=>{e()&&document.querySelectorAll(n).forEach(e=>pt(e,t))},autoBind:({observe:t=!1}={})=>{if(e())return Et(document),t?ft(document.body):void 0},link:(e,t,n)=>yt(e.watch(t,e=>{const r="function"==typeof n?n(e):e;it.dispatch(`set-${t}`,r)})),linkTwoWay:(e,t,n,r)=>{let o=!1;const s=e.watch(t,e=>{if(o)return;o=!0;const r="function"==typeof n?n(e):e;it.dispatch(`set-${t}`,r),o=!1}),a=it.watch(t,n=>{if(o)return;o=!0;const s="function"==typeof r?r(n):n;e.dispatch(`set-${t}`,s),o=!1});return yt(()=>{s(),a()})},bindAll:(e,{observe:t=!1}={})=>{if(Et(e),t)return ft(e)},unbindAll:e=>ht(bt(e)),linkPath:(e,t,n,r)=>yt(e.watchAll(e=>{const o=J(e,t);if(void 0!==o){const e=r?r(o):o;it.dispatch(`set-${n}`,e)}})),watchPath:(e,t)=>Ye(e,t)},ct=e=>e.hasAttribute("contenteditable")&&"false"!==e.getAttribute("contenteditable"),lt=(e,t)=>{if("checkbox"===e.type){const n=J(H,t);return Array.isArray(n)?e.checked?[...new Set([...n,e.value])]:n.filter(t=>t!==e.value):e.checked}if("SELECT"===e.tagName&&e.multiple)return[...e.selectedOptions].map(e=>e.value);const n=ct(e)?e.textContent:e.value;return S[t]?.type?oe(t,n):["number","range"].includes(e.type)?""===n?null:Number(n):["date","month","datetime-local"].includes(e.type)?""===n?null:new Date(n):n},dt=(e,t,n)=>{if("checkbox"===e.type)return void(e.checked=Array.isArray(n)?n.map(String).includes(e.value):Boolean(n));if("radio"===e.type)return void(e.checked=null!=n&&String(n)===e.value);if("SELECT"===e.tagName&&e.multiple){const t=(Array.isArray(n)?n:[]).map(String);return void[...e.options].forEach(e=>e.selected=t.includes(e.value))}const r=e.ownerDocument.activeElement===e;if(r&&V(n,lt(e,t))===n)return;const o=((e,t)=>null==t?"":t instanceof Date?Number.isNaN(t.getTime())?"":"date"===e.type?t.toISOString().slice(0,10):"month"===e.type?t.toISOString().slice(0,7):"datetime-local"===e.type?new Date(t.getTime()-6e4*t.getTimezoneOffset()).toISOString().slice(0,16):t.toISOString():String(t))(e,n);if(ct(e))return void(e.textContent!==o&&(e.textContent=o));if(e.value===o)return;let s=null;try{r&&(s=[e.selectionStart,e.selectionEnd])}catch{}if(e.value=o,s&&null!==s[0])try{e.setSelectionRange(...s)}catch{}},pt=(e,t)=>{$e.has(t)||$e.set(t,new Set),$e.get(t).add(e),At(e,t)},ut=(e,t)=>{Me.has(e)||Me.set(e,[]),Me.get(e).push(t)},ht=e=>{const t=new Set(e);t.forEach(e=>{(Me.get(e)||[]).forEach(e=>e()),Me.delete(e)}),$e.forEach((e,n)=>{e.forEach(n=>t.has(n)&&e.delete(n)),e.size||$e.delete(n)})},ft=(e,t)=>{const n=new MutationObserver(e=>e.forEach(e=>{e.removedNodes.forEach(e=>{const t=8===e.nodeType?Te.get(e):e;1!==t?.nodeType||t.isConnected||je.get(t)?.isConnected||ht(bt(t))}),e.addedNodes.forEach(e=>{1===e.nodeType&&e.isConnected&&Et(e,t)})}));return n.observe(e,{childList:!0,subtree:!0}),yt(()=>n.disconnect())},yt=e=>{const t=()=>{Pe.delete(t)&&e()};return Pe.add(t),t},gt=(e,t)=>[...e.matches?.(t)?[e]:[],...e.querySelectorAll(t)],mt=e=>gt(e,"*").flatMap(e=>e.shadowRoot?[e,...mt(e.shadowRoot)]:[e]),bt=e=>{const t=mt(e);return[...1===e.nodeType?[]:[e],...t,...t.filter(e=>e.shadowRoot).map(e=>e.shadowRoot)].forEach(e=>e.childNodes.forEach(e=>{8===e.nodeType&&Te.has(e)&&t.push(...bt(Te.get(e)))})),t},vt=/^data-(?:bind-(attr|class|style):(.+)|(bind-html|show|if))$/,wt=e=>[...e.attributes].flatMap(({name:e,value:t})=>{const n=e.match(vt);if(!n||!t)return[];const r=t.startsWith("!");return[{kind:n[1]||n[3].replace("bind-",""),arg:n[2],key:r?t.slice(1):t,negate:r}]}),Ot=(e,t)=>{if(e.dataset.model&&((e,t)=>{const r=e.dataset.model;if(!r)return;if(pt(e,r),e.dataset.modelBound)return;e.dataset.modelBound="true";const o=e.dataset.modelEvent||("SELECT"===e.tagName||["checkbox","radio","file"].includes(e.type)?"change":"input"),s=Number(e.dataset.modelDebounce)||0;let a;const i=()=>{const n=e.dataset.model;if("radio"===e.type&&!e.checked)return;const r=lt(e,n),o=J(H,n);V(o,r)!==o&&it.dispatch(`set-${n}`,r,{historyGroup:`model:${n}`,...t})},c=()=>{if(!s)return i();clearTimeout(a),a=setTimeout(i,s)};if(e.addEventListener(o,c),ut(e,()=>{clearTimeout(a),e.removeEventListener(o,c),delete e.dataset.modelBound}),"localStorage"===e.dataset.sync&&w&&(ie.has(r)||!z.includes(r))){const t=!ie.has(r);ie.set(r,(ie.get(r)??0)+1),t&&n(fe([r]),e=>{if(!ie.has(r))return;const t={...H},n=st(ye(e));z.includes(r)||z.push(r),n.length&&et("persistence-loaded",e,n,t)}),ut(e,()=>{const e=ie.get(r)-1;if(e)return ie.set(r,e);ie.delete(r);const t=z.indexOf(r);-1!==t&&z.splice(t,1)})}})(e,t),e.dataset.bind&&pt(e,e.dataset.bind),e.dataset.each){if(!ke.has(e)){const n=e.querySelector(":scope > template");ke.set(e,{rows:n?jt(e,n,e.dataset.each):new Map,dispatchOptions:t})}pt(e,e.dataset.each)}wt(e).forEach(({key:t})=>pt(e,t)),(e=>{Ae.has(e)||Ae.set(e,new Set);const t=Ae.get(e);[...e.attributes].forEach(({name:n})=>{if(!n.startsWith("data-on:"))return;const r=n.slice(8);if(t.has(r))return;t.add(r);const o=t=>{"submit"===r&&t.preventDefault();const o=e.getAttribute(n);if(!o)return;const s=Object.fromEntries(Object.entries(e.dataset).filter(([e])=>!/^(on:|bind|model|each$|key$|show$|if$|sync$)/.test(e)));it.dispatch(o,s)};e.addEventListener(r,o),ut(e,()=>{e.removeEventListener(r,o),t.delete(r)})})})(e)},Et=(e,t)=>{mt(e).forEach(e=>Ot(e,t))},St=(e,t)=>e.startsWith("!")?`!${St(e.slice(1),t)}`:"$item"===e?t:e.startsWith("$root.")?e.slice(6):e.startsWith("$")?e:`${t}.${e}`,xt=(e,t,n)=>{e.prefix=t;const r=new Set;e.scoped.forEach(({el:e,name:n,rel:o})=>{const s=St(o,t);e.getAttribute(n)!==s&&(e.setAttribute(n,s),r.add(e))}),e.bound&&r.forEach(e=>{(e=>{$e.forEach((t,n)=>{t.delete(e),t.size||$e.delete(n)})})(e),Ot(e,n)})},$t=(e,t)=>{const n=[];e.filter(e=>1===e.nodeType).forEach(e=>{gt(e,"*").forEach(e=>[...e.attributes].forEach(({name:t,value:r})=>{r&&(e=>["data-bind","data-model","data-each"].includes(e)||vt.test(e))(t)&&n.push({el:e,name:t,rel:r})}))});const r={nodes:e,scoped:n,prefix:null,bound:!1};return xt(r,t),r},kt=(e,t,n,r)=>{const o=String(n?J(e,n):t);return r.has(o)?`${o}#${t}`:o},jt=(e,t,n)=>{const r=new Map;if(!q||1!==t.content.children.length)return r;const o=it.get(n);let s=[],a=0;return[...e.childNodes].slice([...e.childNodes].indexOf(t)+1).forEach(t=>{1===t.nodeType?(s.push(t),Array.isArray(o)&&a<o.length?r.set(kt(o[a],a,e.dataset.key,r),$t(s,`${n}.${a}`)):s.forEach(e=>e.remove()),s=[],a+=1):s.push(t)}),r},Tt=(e,t)=>{const n=e.querySelector(":scope > template");if(!n)return;ke.has(e)||ke.set(e,{rows:jt(e,n,t),dispatchOptions:void 0});const r=ke.get(e),o=it.get(t),s=e.dataset.key,a=new Map;(Array.isArray(o)?o:[]).forEach((e,o)=>{const i=kt(e,o,s,a),c=`${t}.${o}`;let l=r.rows.get(i);l?l.prefix!==c&&xt(l,c,r.dispatchOptions):l=((e,t)=>$t([...e.content.cloneNode(!0).childNodes],t))(n,c),a.set(i,l)}),r.rows.forEach((e,t)=>{a.get(t)!==e&&(e=>{e.nodes.forEach(e=>{1===e.nodeType&&ht(bt(e)),e.remove(),je.get(e)?.remove()})})(e)});let i=n.nextSibling;a.forEach(t=>t.nodes.forEach(t=>{const n=!t.parentNode&&je.get(t)||t;n===i?i=i.nextSibling:e.insertBefore(n,i)})),r.rows=a,a.forEach(e=>{e.bound||(e.bound=!0,e.nodes.filter(e=>1===e.nodeType).forEach(e=>Et(e,r.dispatchOptions)))})},At=(e,t)=>{const n=wt(e).filter(e=>e.key===t);if(n.forEach(t=>((e,{kind:t,arg:n,key:r,negate:o})=>{let s=it.get(r);if(o&&(s=!s),"attr"===t)null==s||!1===s?e.removeAttribute(n):e.setAttribute(n,!0===s?"":String(s));else if("class"===t)e.classList.toggle(n,Boolean(s));else if("style"===t)null==s||!1===s?e.style.removeProperty(n):e.style.setProperty(n,String(s));else if("show"===t)e.style.display=s?"":"none";else if("if"===t){je.has(e)||(je.set(e,e.ownerDocument.createComment(` if ${r} `)),Te.set(je.get(e),e));const t=je.get(e);t.data=` if ${r} `,s&&t.parentNode?t.replaceWith(e):!s&&e.parentNode&&e.replaceWith(t)}else if("html"===t){const t=String(s??"");"function"==typeof $?e.innerHTML=$(t):(console.warn("data-bind-html needs a `sanitizeHtml` option; rendering as text"),e.textContent=t)}})(e,t)),e.dataset.each===t)return void Tt(e,t);if(e.dataset.model===t&&(e=>["INPUT","SELECT","TEXTAREA"].includes(e.tagName)||ct(e))(e))return void dt(e,t,it.get(t));if(n.length&&e.dataset.bind!==t)return;let r=it.get(t)??"";if(e.dataset.format&&""!==r){const n={el:e,locale:e.closest("[data-locale]")?.dataset.locale||it.get(k)||void 0,currency:e.dataset.currency,options:u(e)},o=r;try{for(const t of e.dataset.format.split("|").map(e=>e.trim())){const e=Ce.get(t);e&&(r=e(r,n))}}catch(n){r=o,Ne.has(e.dataset.format)||(Ne.add(e.dataset.format),console.warn(`data-format="${e.dataset.format}" failed for "${t}"; rendering the raw value`,n))}}const o=`${e.dataset.prefix||""}${r}${e.dataset.suffix||""}`;e.textContent!==o&&(e.textContent=o)},Ct=(...e)=>{const t=e.some(e=>Q(e,k));$e.forEach((n,r)=>{t&&n.forEach(e=>e.dataset.format&&At(e,r));(be.has(r)?Xe(r,e):e.some(e=>Q(r,e)))&&n.forEach(e=>At(e,r))})},Nt=(e,{actions:t={},effects:n={},computed:r={}},o)=>{const s=[...Object.entries(t).map(([t,n])=>it.action(`${e}/${t}`,(t,r)=>{const o=n(t[e],r);void 0!==o&&(t[e]=o)})),...Object.entries(n).map(([t,n])=>{const r=`${e}/${t}`,o=it.effect(r,n);return()=>{o(),delete Se[r],ot(`$effects.${r}`)}}),...Object.entries(r).map(([t,n])=>{const r=`${e}.${t}`;return it.computed(r,(t,r)=>n(t[e],r)),()=>{be.delete(r),Ct(r)}})];ee.set(e,{paths:o,cleanups:s})};if(Object.entries(g).forEach(([e,t])=>Nt(e,t,d(e,t))),it.registerModule=(e,n)=>{if(ee.has(e))throw new Error(`Module "${e}" is already registered`);const r=d(e,n);_[e]=n.initialState??{},Nt(e,n,r);const o=ee.get(e),s={...H},a=st({...H,[e]:H[e]??structuredClone(_[e])}),i=w&&r.length?fe(r):{},c=e=>(z.push(...r.filter(e=>!z.includes(e))),st(ye(e)));t(i)||a.push(...c(i)),et("module-registered",{name:e},a,s);const l=()=>{ee.get(e)===o&&it.unregisterModule(e)};return l.ready=Promise.resolve(t(i)&&i.then(t=>{if(ee.get(e)!==o)return;const n={...H},r=c(t);r.length&&et("persistence-loaded",t,r,n)})).then(()=>{}),l},it.unregisterModule=e=>{const t=ee.get(e);if(!t)return;t.paths.some(e=>ae.has(e))&&tt(),ee.delete(e),t.cleanups.forEach(e=>e()),t.paths.forEach(e=>{const t=z.indexOf(e);-1!==t&&z.splice(t,1)}),delete _[e];const n={...H},{[e]:r,...o}=H,s=st(o);et("module-unregistered",{name:e},s,n)},it.modules=()=>[...ee.keys()],h&&"undefined"!=typeof window){const e=()=>console.log(`🧠 ${h}Store snapshot`,it.getState());window[`${h}Store`]=it,window[`${h}State`]=e,yt(()=>{window[`${h}Store`]===it&&delete window[`${h}Store`],window[`${h}State`]===e&&delete window[`${h}State`]})}if(it.ready=Promise.resolve(t(ge)&&ge.then(e=>{const t={...H},n=st(ye(e));n.length&&et("persistence-loaded",e,n,t)})).then(()=>{ce=!0,nt()}),it.flush=()=>ce?tt():it.ready.then(tt),w&&(N||M)&&"function"==typeof globalThis.addEventListener){const e=()=>tt();globalThis.addEventListener("pagehide",e),yt(()=>globalThis.removeEventListener("pagehide",e))}if(yt(()=>ae.size&&tt()),P){const e=Array.isArray(P)||!0===P?{paths:P}:P,{channel:t=`${h||"store"}-sync`,strategy:n="last-write-wins"}=e,r=Array.isArray(e.paths)?e.paths:z.length?z:Object.keys(_),o=Math.random().toString(36).slice(2),s=new Map;let a=!1,i=null;const c=(e,t)=>{const n=Math.max(Date.now(),(s.get(e)??0)+1);s.set(e,n);try{i.send({tab:o,path:e,value:t,time:n})}catch(t){console.warn(`Could not broadcast "${e}"`,t)}},l=e=>{const{path:t,value:r,time:a,tab:i}=e,c=s.get(t)??0;if("function"==typeof n){return{apply:!0,value:n(it.get(t),r,{path:t,localTime:c,remoteTime:a})}}return"last-write-wins"===n&&(c>a||c===a&&o>i)?{apply:!1,value:r}:{apply:!0,value:r}},d=e=>{if(!e||e.tab===o||!r.includes(e.path))return;const{apply:t,value:n}=l(e);if(t){s.set(e.path,e.time),a=!0;try{void 0===n?it.dispatch(`delete-${e.path}`,void 0,{skipHistory:!0}):it.dispatch(`set-${e.path}`,n,{skipHistory:!0})}finally{a=!1}Object.is(n,e.value)||c(e.path,n)}};if("function"==typeof BroadcastChannel){const e=new BroadcastChannel(t);e.onmessage=e=>d(e.data),i={send:t=>e.postMessage(t),close:()=>e.close()}}else if("function"==typeof globalThis.addEventListener&&globalThis.localStorage){const e=e=>{if(e.key===t&&e.newValue)try{d(JSON.parse(e.newValue))}catch{}};globalThis.addEventListener("storage",e),i={send:e=>{localStorage.setItem(t,JSON.stringify(e)),localStorage.removeItem(t)},close:()=>globalThis.removeEventListener("storage",e)}}if(i){const e=r.map(e=>it.watchPath(e,t=>{a||c(e,t)}));yt(()=>{e.forEach(e=>e()),i.close()})}}it.sync=(e,{role:t="client",paths:n,accept:r=n,channel:o="store"}={})=>{const s=(e,t)=>!t||t.some(t=>e===t||e.startsWith(`${t}.`)),a=new Set;let i=!1,c=!1;const l=t=>{try{e.send({channel:o,...t})}catch(e){console.warn("Could not send sync message",e)}},d=e=>e.map(e=>{const t=it.get(e);return void 0===t?{path:e,delete:!0}:{path:e,value:t}}),p=()=>{const e={};(n||Object.keys(H)).forEach(t=>{e[t]=it.get(t)}),l({kind:"snapshot",values:e})},u=e=>{c=!0;try{e.forEach(({path:e,value:t,delete:n})=>{n?it.dispatch(`delete-${e}`,void 0,{skipHistory:!0}):it.dispatch(`set-${e}`,t,{skipHistory:!0})})}finally{c=!1}},h=e=>{if(c)return;const r=new Set;e.filter(e=>e&&!e.startsWith("$")).forEach(e=>{n?n.forEach(t=>{s(e,[t])?r.add(e):s(t,[e])&&r.add(t)}):r.add(e)});const o=[...r].filter(e=>![...r].some(t=>t!==e&&s(e,[t])));o.length&&(i?l({kind:"patch",ops:d(o)}):"client"===t&&o.forEach(e=>a.add(e)))};De.add(h);const f=e.connect({onMessage:e=>{if(e&&e.channel===o)if("hello"===e.kind&&"host"===t)p();else if("snapshot"!==e.kind||"client"!==t||i){if("patch"===e.kind){const t=e.ops.filter(e=>!s(e.path,n)||!s(e.path,r));u(e.ops.filter(e=>!t.includes(e))),t.length&&(et("sync-rejected",{channel:o,paths:t.map(e=>e.path)}),l({kind:"patch",ops:d(t.map(e=>e.path).filter(e=>s(e,n)))}))}}else{const r=d([...a]);u(Object.entries(e.values).filter(([e])=>s(e,n)).map(([e,t])=>void 0===t?{path:e,delete:!0}:{path:e,value:t})),u(r),i=!0,a.size&&(l({kind:"patch",ops:d([...a])}),a.clear()),et("sync-connected",{channel:o,role:t})}},onOpen:()=>{"host"===t?(i=!0,p(),et("sync-connected",{channel:o,role:t})):l({kind:"hello"})},onClose:()=>{i&&(i=!1,et("sync-disconnected",{channel:o,role:t}))}});return yt(()=>{De.delete(h),"function"==typeof f&&f()})},it.defineElement=(t,{template:n="",styles:r,shadow:o=!0,scope:s,state:a,attributes:i={},connected:c}={})=>{if(!e()||"undefined"==typeof customElements)return;const l=new WeakMap,d=new Set;let p=!0;const u=e=>("function"==typeof s?s(e):s)||"",h=(e,t)=>u(e)?St(t,u(e)):t,f=e=>{const t=l.get(e);t&&d.delete(e)&&(ht(mt(t.root)),"function"==typeof t.cleanup&&t.cleanup(),t.cleanup=null)};class y extends HTMLElement{static get observedAttributes(){return Object.keys(i)}attributeChangedCallback(e,t,n){if(!p||t===n)return;const r=h(this,i[e]);it.dispatch(`set-${r}`,null===n?null:oe(r,n),{skipHistory:!0})}connectedCallback(){if(!p)return;l.has(this)||l.set(this,(e=>{const t=o?e.shadowRoot??e.attachShadow({mode:"open"}):e,s="function"==typeof n?n(e):n;return s instanceof HTMLTemplateElement?t.replaceChildren(s.content.cloneNode(!0)):s&&(t.innerHTML=s),r&&t.prepend(Object.assign(e.ownerDocument.createElement("style"),{textContent:r})),{root:t,row:null,cleanup:null}})(this));const e=l.get(this),t=u(this);if(t&&!e.row?e.row=$t([...e.root.childNodes],t):t&&e.row.prefix!==t&&xt(e.row,t),t&&void 0!==a){const e="function"==typeof a?a(this):structuredClone(a),n=J(H,t);if(void 0===n)it.dispatch(`set-${t}`,e,{skipHistory:!0});else if(U(e)&&U(n)){const r=Object.fromEntries(Object.entries(e).filter(([e])=>!(e in n)));Object.keys(r).length&&it.dispatch(`merge-${t}`,r,{skipHistory:!0})}}Et(e.root),d.add(this),e.cleanup=c?.(this,{root:e.root,path:t,get:e=>it.get(h(this,e)),dispatch:(e,n,r)=>{const o=t&&!e.includes("/")&&te(e);return it.dispatch(o?`${o.verb}-${St(o.path,t)}`:e,n,r)}})}disconnectedCallback(){f(this)}}return customElements.define(t,y),yt(()=>{p=!1,d.forEach(f)}),y},it.destroy=()=>{Pe.forEach(e=>e());const t=new Set(e()?mt(document):[]);$e.forEach(e=>e.forEach(e=>t.add(e))),ht(t),Ee.forEach(e=>e.runs.forEach(e=>e.abort())),Ee.clear(),me.clear(),Le.clear(),He.clear(),Re.clear(),$e.clear()};const Mt=(e,t,n=[])=>{if(!t.length)return[n.join(".")];if(null===e||"object"!=typeof e)return[];const[r,...o]=t;return("*"===r?Object.keys(e):r in e?[r]:[]).flatMap(t=>Mt(e[t],o,[...n,t]))},Pt=(e="")=>({path:e,entries:[{patches:[],inversePatches:[],label:"init",type:"init",group:null,time:Date.now()}],index:0,mergeable:!1}),Lt=(e,t,n)=>{const r=e.path?e.path.split("."):[],s=t=>e.path?J(t,e.path):t;return X(s(t),s(n),r).filter(({path:e})=>{const t=o(e).join(".");return!R.some(e=>((e,t)=>{const n=t.replace(/\.\*$/,"").split("."),r=e.split(".");return n.length<=r.length&&n.every((e,t)=>"*"===e||e===r[t])})(t,e))})},Dt=Pt(),It=new Map,Rt=()=>{const e=e=>({canUndo:e.index>0,canRedo:e.index<e.entries.length-1,index:e.index,length:e.entries.length}),t={...e(Dt),scopes:{}};It.forEach((n,r)=>F(t.scopes,r,()=>e(n)));const n=[];xe=V(xe,t,"$history",n),n.length&&(ot(...n),Qe(n))},Wt=(e,t,n)=>{[Dt,...It.values()].forEach(r=>r!==n&&((e,t,{type:n,label:r,group:o})=>{const s=Lt(e,t,H);if(!s.length)return;const a=Lt(e,H,t),i=Date.now(),c=e.entries[e.index],l=!W||i-c.time<=W,d=e.mergeable&&e.index>0&&l&&(o?c.group===o:Boolean(W)&&!c.group&&c.type===n);e.entries.splice(e.index+1),d?Object.assign(c,{patches:[...c.patches,...s],inversePatches:[...a,...c.inversePatches],time:i}):(e.entries.push({patches:s,inversePatches:a,label:r||n,type:n,group:o||null,time:i}),e.index++);const p=e.entries.length-Math.max(I,1);p>0&&(e.entries.splice(0,p),e.index-=p,Object.assign(e.entries[0],{patches:[],inversePatches:[]})),e.mergeable=!0})(r,e,t)),Rt(),Ie?.()},_t=(e,t)=>{const n=t<e.index?e.entries.slice(t+1,e.index+1).reverse().flatMap(e=>e.inversePatches):e.entries.slice(e.index+1,t+1).flatMap(e=>e.patches),r=Z({...H},n);R.forEach(e=>{const t=e.replace(/\.\*$/,"").split(".");new Set([...Mt(H,t),...Mt(r,t)]).forEach(e=>{const t=J(H,e);F(r,e,()=>void 0===t?B:t)})});const o={...H},s=st(r);e.index=t,e.mergeable=!1,Wt(o,{type:"history-jump",label:`${e.path?`${e.path}: `:""}${e.entries[t].label}`},e),[Dt,...It.values()].forEach(e=>{e.mergeable=!1}),et("history-jump",H,s,o)},zt=e=>({undo:()=>!(e.index<=0)&&(_t(e,e.index-1),!0),redo:()=>!(e.index>=e.entries.length-1)&&(_t(e,e.index+1),!0),jumpTo:t=>{Number.isInteger(t)&&t>=0&&t<e.entries.length&&_t(e,t)},canUndo:()=>e.index>0,canRedo:()=>e.index<e.entries.length-1,entries:()=>e.entries.map(({label:t,time:n},r)=>({label:t,time:n,current:r===e.index})),clear:()=>{Object.assign(e,Pt(e.path)),Rt(),Ie?.()}}),qt=zt(Dt);let Ht=null;it.history={...qt,group:(e,t)=>{Be||(Ht=e);try{return it.batch(t,"history-group")}finally{Be||(Ht=null)}},scope:e=>(It.has(e)||(It.set(e,Pt(e)),Rt()),zt(It.get(e)))},it.undo=qt.undo,it.redo=qt.redo,it.jumpTo=qt.jumpTo,it.__getHistory=()=>structuredClone(Dt.entries),Rt(),Je=Wt,it.applyPatches=(e,t)=>it.dispatch("apply-patches",e,t),it.batch=(e,t="batch")=>{const n={...H},r=Ke.length,o=new Set(Ue);!We||Be||_e||(qe=Vt({kind:"batch",type:t,actions:[]}));const s=qe?.actions.length;let a;Be++;try{a=e()}catch(e){throw G(n),Ze(),Ke.splice(r),Ue.clear(),o.forEach(e=>Ue.add(e)),Zt(s),e}finally{Be--}if(Be)return a;const i=[...Ue],c=Ke.splice(0);Ue.clear(),i.length&&(Ct(...i),rt(...i)),i.length&&Wt(n,{type:t,label:Ht}),_e++;try{c.length&&et(t,c,i,n)}finally{_e--}return qe&&Xt(qe),qe=null,a},it.transaction=it.batch;const Jt=[],Bt=it.dispatch,Ut={getState:()=>it.getState(),dispatch:(...e)=>it.dispatch(...e)},Kt=({type:e,payload:t,options:n={}})=>{if(!We||_e)return Bt(e,t,n);let r=null;Be?qe?.actions.push({type:e,payload:t,options:n}):r=Vt({kind:"dispatch",type:e,payload:t,options:n}),_e++;try{return Bt(e,t,n)}finally{_e--,r&&Xt(r)}};let Ft=Kt;const Gt=()=>{Ft=Jt.reduceRight((e,{handler:t})=>t(e),Kt)};it.dispatch=(e,t,n={})=>Ft(null!==e&&"object"==typeof e?e:{type:e,payload:t,options:n}),it.use=e=>{if("function"!=typeof e)throw new TypeError("Middleware must be a function");const t={handler:e(Ut)};return Jt.push(t),Gt(),()=>{const e=Jt.indexOf(t);-1!==e&&(Jt.splice(e,1),Gt())}};const Vt=e=>(e.time=Date.now()-We.startedAt,We.steps.push(e),e),Xt=e=>{We&&(e.checksum=s(H),We.snapshots&&(e.state=structuredClone(H)))},Zt=e=>{qe&&(qe.actions.splice(e),Be>1||(We?.steps.splice(We.steps.indexOf(qe),1),qe=null))};if(it.recorder={start:({snapshots:e=!1}={})=>{We={version:1,startedAt:Date.now(),initialState:structuredClone(H),snapshots:e,steps:[]}},stop:()=>{const e=We;return We=null,e},isRecording:()=>Boolean(We),export:(e=We)=>JSON.stringify(e),import:e=>{const t="string"==typeof e?JSON.parse(e):e;if(!t||!Array.isArray(t.steps))throw new TypeError("Not a store recording");return t},replay:e=>{const{initialState:t,steps:n}=it.recorder.import(e),r={...H};Qe(st(structuredClone(t)),!0),et("replay-start",{steps:n.length},[],r),it.history.clear(),It.forEach(e=>zt(e).clear());let o=!1;const a={index:0,done:0===n.length,divergence:null,step:()=>{if(a.done)return!a.divergence;const e=n[a.index];return(e=>{ze=!0,_e++;try{"batch"===e.kind?it.batch(()=>e.actions.forEach(({type:e,payload:t,options:n})=>Bt(e,t,n)),e.type):"patch"===e.kind?Bt("apply-patches",e.patches):Bt(e.type,e.payload,e.options)}finally{_e--,ze=!1}})(e),a.index++,a.done=a.index>=n.length,e.checksum&&!a.divergence&&s(H)!==e.checksum&&(a.divergence={index:a.index-1,type:e.type,patches:e.state?X(e.state,structuredClone(H)):void 0},et("replay-divergence",a.divergence)),!a.divergence},play:async({realtime:e=!1,speed:t=1,stopOnDivergence:r=!1}={})=>{for(o=!1;!a.done&&!o;){if(e){const e=n[a.index].time-(n[a.index-1]?.time??0);if(await new Promise(n=>setTimeout(n,Math.max(0,e/t))),o)break}if(!a.step()&&r)break}const{index:s,done:i,divergence:c}=a;return{index:s,done:i,divergence:c}},stop:()=>{o=!0}};return a}},it.connectDevTools=(e={})=>{const t=globalThis.__REDUX_DEVTOOLS_EXTENSION__;if(!t)return()=>{};const n=t.connect({name:h,...e}),r=()=>Dt.entries[Dt.index];let o,s,a=!1,i=!1,c=0;const l=()=>{n.init({...H}),o=new Map([[0,{entry:r()}]]),s=1},d=e=>{a=!0;try{e()}finally{a=!1}},p=e=>{const t=X({...H},e);t.length&&Bt("apply-patches",t,{skipHistory:!0})},u=e=>{d(()=>p(e)),it.history.clear(),It.forEach(e=>zt(e).clear()),l()},f=e=>{const{type:t,id:r,actionId:a,nextLiftedState:c,status:l}=e.payload;if("JUMP_TO_STATE"===t||"JUMP_TO_ACTION"===t){const t=Dt.entries.indexOf(o.get(a)?.entry);d(()=>{-1!==t&&it.jumpTo(t),p(JSON.parse(e.state))})}else if("TOGGLE_ACTION"===t)n.send(null,((e,t)=>{const{actionsById:n,computedStates:r,skippedActionIds:o,stagedActionIds:s}=e,a=o.indexOf(t),i=s.indexOf(t);if(-1===i)return e;ze=!0;try{d(()=>it.batch(()=>{p(r[i-1].state);for(let e=i;e<s.length;e++){const i=s[e],c=i===t?-1===a:o.includes(i),{type:l,payload:d,patches:p,nested:u}=n[i].action;!c&&p?Bt("apply-patches",p):c||u||Bt(l,d),r[e].state={...H}}},"devtools-toggle"))}finally{ze=!1}return-1===a?o.push(t):o.splice(a,1),e})(JSON.parse(e.state),r)),o.clear();else if("IMPORT_STATE"===t){const{computedStates:e,currentStateIndex:t=e.length-1}=c;d(()=>p(e[t].state)),o.clear(),s=c.nextActionId??e.length,n.send(null,c)}else"COMMIT"===t?u({...H}):"ROLLBACK"===t?u(JSON.parse(e.state)):"RESET"===t?u(structuredClone(_)):"PAUSE_RECORDING"===t&&(i=l)},y=n.subscribe(e=>{if("DISPATCH"===e.type&&f(e),"ACTION"!==e.type)return;let t=e.payload;try{t=JSON.parse(t)}catch{}it.dispatch("string"==typeof t?{type:t}:t)}),g=it.use(()=>e=>t=>{c++;try{return e(t)}finally{c--}}),m=it.subscribe(({type:e,payload:t,patches:l})=>{if(a||i)return;const d=0===c?{type:e,payload:t,patches:l}:1===c?{type:e,payload:t}:{type:e,payload:t,nested:!0};o.set(s++,{entry:r()}),n.send(d,{...H})});return l(),yt(()=>{m(),g(),"function"==typeof y?y():n.unsubscribe?.()})},D&&it.connectDevTools(!0===D?{}:D),b&&e()){const e=[];let t=0;const r=it.use(()=>r=>o=>{const a=performance.now(),i=t,c=r(o);return n(c,()=>{const t=e.find(e=>e.id>i&&e.type===o.type&&void 0===e.duration);t&&(t.duration=performance.now()-a),s.onUpdate?.()}),c}),o=it.subscribe(({type:n,payload:r,patches:o,inversePatches:s})=>{e.push({id:++t,type:n,payload:r,patches:o,inversePatches:s,time:Date.now()}),e.length>200&&e.shift()}),s={label:h,log:e,getState:()=>H,history:()=>qt.entries(),jumpTo:e=>it.jumpTo(e),undo:()=>it.undo(),redo:()=>it.redo(),edit:(e,t)=>it.dispatch(`set-${e}`,t),inspect:()=>({computed:[...be].map(([e,{value:t,deps:n,dirty:r}])=>({key:e,value:t,deps:n?[...n]:[],dirty:r})),watchers:[...He].map(([e,t])=>({path:e,count:t.size})),bindings:[...$e].map(([e,t])=>({path:e,count:t.size})).filter(({count:e})=>e),effects:Object.entries(Se).map(([e,{status:t}])=>({type:e,status:t}))}),clear:()=>{const e={...H},t=st(structuredClone(_));it.flush().then(()=>it.__syncKeys.forEach(e=>{try{Promise.resolve(w.removeItem(e)).catch(t=>ue("write",t,e))}catch(t){ue("write",t,e)}})),et("devpanel-clear",structuredClone(H),t,e),qt.clear(),It.forEach(e=>zt(e).clear())}};f??=m();const a=f.add(s);Ie=()=>s.onUpdate?.(),yt(()=>{r(),o(),a(),Ie=null})}return it};
\ No newline at end of file
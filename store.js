@@ -5,14 +5,642 @@
  *
  * Features:
  * - Centralized immutable state
+ * - JSON Patch (RFC 6902) change events, patch-based history and `applyPatches`
  * - Subscriptions and event-driven updates
  * - Auto DOM binding via data-model/data-bind
  * - Computed properties
- * - Local/session storage persistence
+ * - Local/session storage, IndexedDB and custom async persistence with versioned migrations
  * - Inter-store links and two-way sync
- * - Dev debug panel and global exposure
+ * - Cross-tab synchronization over BroadcastChannel
+ * - Remote sync over WebSocket, worker, postMessage and MessagePort transports
+ * - Dev debug panel, Redux DevTools bridge and global exposure
+ * - Namespaced modules, registered up front or lazily
+ * - Custom elements bound through their shadow roots
+ * - Action recording, export and deterministic replay
+ * - Headless use (Node, workers, SSR) with `serialize()`/`hydrate`
  */
 
+/**
+ * Whether a DOM is available. DOM binding and the dev panel are inert without one,
+ * so the store can run on a server, in tests or in a worker.
+ * @returns {boolean}
+ */
+const hasDocument = () => typeof document !== 'undefined';
+
+/**
+ * Checks for promises and other thenables.
+ * @param {*} val - Value to check.
+ * @returns {boolean}
+ */
+const isThenable = (val) => typeof val?.then === 'function';
+
+/**
+ * Calls `fn` with a value, waiting for it first if it is a promise,
+ * so synchronous storage drivers stay synchronous.
+ * @param {*} val - Value or promise.
+ * @param {Function} fn - Receives the value.
+ * @returns {*} - `fn`'s result, or a promise of it.
+ */
+const whenResolved = (val, fn) => (isThenable(val) ? val.then(fn) : fn(val));
+
+/**
+ * Encodes path segments as a JSON Pointer (`['a', 'b/c', 0]` → `/a/b~1c/0`).
+ * @param {Array<string|number>} segments - Path segments.
+ * @returns {string}
+ */
+const toPointer = (segments) => segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+/**
+ * Decodes a JSON Pointer into path segments.
+ * @param {string} pointer - JSON Pointer (`''` is the whole document).
+ * @returns {string[]}
+ */
+const fromPointer = (pointer) => (pointer === '' ? [] : pointer.slice(1).split('/')
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~')));
+
+/**
+ * Hashes a JSON-serializable value (FNV-1a over its JSON), used to compare replayed states.
+ * @param {*} value - Value to hash.
+ * @returns {string} - Hex checksum.
+ */
+const checksum = (value) => {
+  const json = JSON.stringify(value) ?? '';
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Characters escaped by `serialize()` so the JSON can be inlined in a `<script>` tag.
+ */
+const unsafeScriptChars = /[<>&\u2028\u2029]/g;
+
+/**
+ * Compares two values one level deep: arrays item by item, plain objects key by key
+ * (with `Object.is`), anything else by identity.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean}
+ */
+const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) || Array.isArray(b)) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b) || Object.getPrototypeOf(a) !== Object.prototype) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * Compares two values structurally: arrays, plain objects (including keys holding `undefined`),
+ * Dates by time, Maps by entries and Sets by members. Other objects compare by identity.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean}
+ */
+const deepEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof Map) return a.size === b.size && [...a].every(([key, value]) => b.has(key) && deepEqual(value, b.get(key)));
+  if (a instanceof Set) return a.size === b.size && [...a].every(value => b.has(value));
+  if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  if (Object.getPrototypeOf(a) !== Object.prototype && Object.getPrototypeOf(a) !== null) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+/**
+ * Equality checks accepted by `select({ equals })` by name.
+ */
+const equalityChecks = { identity: Object.is, shallow: shallowEqual, deep: deepEqual };
+
+/**
+ * Resolves a `select({ equals })` option to a comparison function.
+ * @param {string|Function} equals - Name of a built-in check or a custom `(prev, next) => boolean`.
+ * @returns {Function}
+ * @throws {TypeError} - For unknown names.
+ */
+const resolveEquality = (equals) => {
+  const compare = typeof equals === 'function' ? equals : equalityChecks[equals];
+  if (!compare) throw new TypeError(`Unknown equality check "${equals}"`);
+  return compare;
+};
+
+/**
+ * Lists the storage paths a module persists: its whole state for `persist: true`,
+ * or the given paths relative to it.
+ * @param {string} key - Module name.
+ * @param {Object} module - Module definition.
+ * @returns {string[]} - Dot paths.
+ */
+const modulePersistPaths = (key, { persist }) => (persist === true ? [key]
+  : Array.isArray(persist) ? persist.map(path => `${key}.${path}`) : []);
+
+/**
+ * Picks a unit for a relative time: the largest one the difference reaches.
+ * @param {number} seconds - Signed difference from now, in seconds.
+ * @returns {[number, string]} - Rounded amount and `Intl.RelativeTimeFormat` unit.
+ */
+const relativeTimeUnit = (seconds) => {
+  const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+  const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+  return [Math.round(seconds / size), unit];
+};
+
+/**
+ * Built-in `data-format` formatters. Each receives the value and a context of
+ * `{ el, locale, currency, options }` and returns the formatted value.
+ * @type {Object<string, Function>}
+ */
+const defaultFormatters = {
+  uppercase: (val) => String(val).toUpperCase(),
+  lowercase: (val) => String(val).toLowerCase(),
+  trim: (val) => String(val).trim(),
+  number: (val, { locale, options }) => new Intl.NumberFormat(locale, options).format(val),
+  currency: (val, { locale, currency, options }) =>
+    new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'USD', ...options }).format(val),
+  percent: (val, { locale, options }) => new Intl.NumberFormat(locale, { style: 'percent', ...options }).format(val),
+  date: (val, { locale, options }) =>
+    new Intl.DateTimeFormat(locale, Object.keys(options).length ? options : { dateStyle: 'medium' }).format(new Date(val)),
+  'iso-date': (val) => new Date(val).toISOString(),
+  'relative-time': (val, { locale, options }) => {
+    const [amount, unit] = relativeTimeUnit((new Date(val).getTime() - Date.now()) / 1000);
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'auto', ...options }).format(amount, unit);
+  }
+};
+
+/**
+ * Collects formatter options from `data-format-*` attributes, e.g.
+ * `data-format-maximum-fraction-digits="1"` → `{ maximumFractionDigits: 1 }`.
+ * Numeric and boolean strings are converted.
+ * @param {HTMLElement} el - Bound element.
+ * @returns {Object} - Options for `Intl` formatters.
+ */
+const readFormatOptions = (el) => Object.fromEntries(Object.entries(el.dataset)
+  .filter(([key]) => /^format[A-Z]/.test(key))
+  .map(([key, value]) => {
+    const name = key.charAt(6).toLowerCase() + key.slice(7);
+    if (value === 'true' || value === 'false') return [name, value === 'true'];
+    return [name, value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value];
+  }));
+
+/**
+ * Creates an in-memory storage driver, e.g. for tests or server-side rendering.
+ * @param {Object<string, string>} [initial={}] - Initial items.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} - Storage driver.
+ */
+export const createMemoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    }
+  };
+};
+
+/**
+ * Creates an asynchronous storage driver backed by an IndexedDB object store.
+ * Every method returns a promise; the database is opened on first use.
+ * @param {Object} [options]
+ * @param {string} [options.dbName='simple-reactive-store'] - Database name.
+ * @param {string} [options.storeName='state'] - Object store name.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} - Storage driver.
+ */
+export const createIndexedDBStorage = ({ dbName = 'simple-reactive-store', storeName = 'state' } = {}) => {
+  let opening = null;
+  const open = () => {
+    opening ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return opening;
+  };
+  const run = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+  return {
+    getItem: (key) => run('readonly', objectStore => objectStore.get(key)).then(value => value ?? null),
+    setItem: (key, value) => run('readwrite', objectStore => objectStore.put(value, key)).then(() => undefined),
+    removeItem: (key) => run('readwrite', objectStore => objectStore.delete(key)).then(() => undefined)
+  };
+};
+
+/**
+ * Creates a pair of connected in-process transports for `store.sync()`, e.g. for tests.
+ * Messages are cloned and delivered asynchronously. `setConnected(false)` simulates a dropped
+ * connection and `setConnected(true)` a reconnect.
+ * @returns {{a: Object, b: Object, setConnected: Function}} - Both ends and the link switch.
+ */
+export const createLoopbackTransport = () => {
+  const ends = [{ handlers: null }, { handlers: null }];
+  let connected = true;
+  const isOpen = () => connected && ends.every(end => end.handlers);
+  const [a, b] = ends.map((self, i) => {
+    const other = ends[1 - i];
+    return {
+      send: (message) => {
+        if (!isOpen()) return;
+        const copy = structuredClone(message);
+        queueMicrotask(() => isOpen() && other.handlers.onMessage(copy));
+      },
+      connect: (handlers) => {
+        self.handlers = handlers;
+        if (isOpen()) ends.forEach(end => queueMicrotask(() => end.handlers?.onOpen?.()));
+        return () => {
+          const wasOpen = isOpen();
+          self.handlers = null;
+          if (wasOpen) other.handlers?.onClose?.();
+        };
+      }
+    };
+  });
+  const setConnected = (next) => {
+    if (next === connected) return;
+    const wasOpen = isOpen();
+    connected = next;
+    const method = wasOpen ? 'onClose' : isOpen() ? 'onOpen' : null;
+    if (method) ends.forEach(end => queueMicrotask(() => end.handlers?.[method]?.()));
+  };
+  return { a, b, setConnected };
+};
+
+/**
+ * Creates a `store.sync()` transport over a WebSocket, reconnecting with exponential backoff.
+ * Messages are sent as JSON.
+ * @param {string} url - Socket URL.
+ * @param {Object} [options]
+ * @param {string|string[]} [options.protocols] - WebSocket subprotocols.
+ * @param {number} [options.reconnectDelay=1000] - First reconnect delay in ms.
+ * @param {number} [options.maxReconnectDelay=30000] - Upper bound for the reconnect delay.
+ * @returns {{send: Function, connect: Function}} - Transport.
+ */
+export const createWebSocketTransport = (url, { protocols, reconnectDelay = 1000, maxReconnectDelay = 30000 } = {}) => {
+  let socket = null;
+  let handlers = null;
+  let retries = 0;
+  let timer = null;
+  const open = () => {
+    socket = new WebSocket(url, protocols);
+    socket.onopen = () => {
+      retries = 0;
+      handlers.onOpen?.();
+    };
+    socket.onmessage = (e) => {
+      try {
+        handlers.onMessage(JSON.parse(e.data));
+      } catch { }
+    };
+    socket.onclose = () => {
+      if (!handlers) return;
+      handlers.onClose?.();
+      timer = setTimeout(open, Math.min(reconnectDelay * 2 ** retries++, maxReconnectDelay));
+    };
+  };
+  return {
+    send: (message) => {
+      if (socket?.readyState === 1) socket.send(JSON.stringify(message));
+    },
+    connect: (next) => {
+      handlers = next;
+      open();
+      return () => {
+        handlers = null;
+        clearTimeout(timer);
+        socket?.close();
+      };
+    }
+  };
+};
+
+/**
+ * Creates a `store.sync()` transport over `postMessage`: a Worker (or `self` inside one),
+ * a MessagePort, or another window such as `iframe.contentWindow` or `window.parent`.
+ * @param {Worker|MessagePort|Window} target - Where messages are posted.
+ * @param {Object} [options]
+ * @param {string} [options.targetOrigin] - Required for windows: the other window's origin.
+ *   Messages from other origins are ignored.
+ * @returns {{send: Function, connect: Function}} - Transport.
+ */
+export const createMessageTransport = (target, { targetOrigin } = {}) => {
+  const isWindow = target.window === target;
+  const source = isWindow ? globalThis : target;
+  return {
+    send: (message) => (isWindow ? target.postMessage(message, targetOrigin) : target.postMessage(message)),
+    connect: (handlers) => {
+      const onMessage = (e) => {
+        if (isWindow && (e.source !== target || (targetOrigin !== '*' && e.origin !== targetOrigin))) return;
+        handlers.onMessage(e.data);
+      };
+      source.addEventListener('message', onMessage);
+      target.start?.();
+      queueMicrotask(() => handlers.onOpen?.());
+      return () => source.removeEventListener('message', onMessage);
+    }
+  };
+};
+
+/**
+ * Counter for dev panel tab ids, so every store with `enableDevPanel` gets its own tab.
+ */
+let devPanelIds = 0;
+
+/**
+ * The shared dev panel, created when the first store registers and removed with the last one.
+ * @type {{add: Function}|null}
+ */
+let devPanel = null;
+
+/**
+ * Creates a DOM element with properties and children.
+ * @param {string} tag - Tag name.
+ * @param {Object} [props={}] - Properties (`className`, `textContent`, `onclick`...) and `data-*`/`aria-*` attributes.
+ * @param {...(Node|string)} children - Child nodes.
+ * @returns {HTMLElement}
+ */
+const h = (tag, props = {}, ...children) => {
+  const el = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (/^(data|aria)-/.test(key)) el.setAttribute(key, value);
+    else el[key] = value;
+  });
+  el.append(...children);
+  return el;
+};
+
+/**
+ * Short, single-line JSON preview of a value.
+ * @param {*} value - Value to preview.
+ * @param {number} [max=80] - Maximum length.
+ * @returns {string}
+ */
+const preview = (value, max = 80) => {
+  let text;
+  try {
+    text = value === undefined ? 'undefined' : JSON.stringify(value);
+  } catch {
+    text = String(value);
+  }
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+/**
+ * Checks whether a keyboard event comes from a text field, select or contenteditable,
+ * where shortcuts such as Ctrl+Z must keep their native meaning.
+ * @param {Event} e - Keyboard event.
+ * @returns {boolean}
+ */
+const isEditableTarget = (e) => {
+  const target = e.composedPath?.()[0] ?? e.target;
+  return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+};
+
+const devPanelStyles = `
+  :host { all: initial; }
+  .panel { position: fixed; bottom: 14px; right: 0; z-index: 2147483647; width: 560px; max-width: 100vw;
+    font: 12px/1.4 ui-monospace, monospace; color: #222; background: #fff; border: 1px solid #ccc;
+    box-shadow: 0 0 6px rgba(0,0,0,.25); }
+  header, nav { display: flex; gap: 4px; align-items: center; padding: 4px 6px; background: #f5f5f5; flex-wrap: wrap; }
+  header strong { margin-right: auto; }
+  button, select, input { font: inherit; }
+  button[aria-selected="true"] { font-weight: bold; border-bottom: 2px solid #36c; }
+  .body { height: 260px; overflow: auto; padding: 4px 6px; }
+  .collapsed .body, .collapsed .views { display: none; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { text-align: left; padding: 1px 4px; border-bottom: 1px solid #eee; vertical-align: top; }
+  td input { width: 100%; box-sizing: border-box; }
+  ol { list-style: none; margin: 0; padding: 0; }
+  li { display: flex; gap: 6px; padding: 1px 2px; cursor: pointer; }
+  li[aria-selected="true"] { background: #e8f0fe; }
+  li .payload { flex: 1; color: #666; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+  li .duration { color: #999; }
+  pre { margin: 4px 0; white-space: pre-wrap; }
+  .add { color: #080; } .remove { color: #b00; } .replace { color: #a60; }
+  h4 { margin: 6px 0 2px; }
+`;
+
+/**
+ * Creates the shared dev panel: an isolated (Shadow DOM) floating UI with one tab per store,
+ * offering a state view with editable values, a filterable action log with a per-action diff,
+ * an inspector for computed values, watchers, bindings and effects, undo/redo with a labelled
+ * timeline, and Ctrl+Z / Ctrl+Shift+Z shortcuts that leave editable elements alone.
+ * @returns {{add: Function}} - `add(handle)` registers a store and returns its removal function.
+ */
+const createDevPanel = () => {
+  const tabs = new Map();
+  let activeId = null;
+  let view = 'state';
+  let filter = '';
+  let selected = null;
+  let collapsed = true;
+  let scheduled = false;
+
+  const host = h('div', { 'data-store-devtools': '' });
+  const root = host.attachShadow({ mode: 'open' });
+  const $tabs = h('span');
+  const $timeline = h('select', { title: 'History' });
+  const $undo = h('button', { textContent: '◀', title: 'Undo (Ctrl+Z)' });
+  const $redo = h('button', { textContent: '▶', title: 'Redo (Ctrl+Shift+Z)' });
+  const $toggle = h('button', { textContent: 'Show' });
+  const $views = h('nav', { className: 'views' }, ...['state', 'actions', 'inspector'].map(name =>
+    h('button', { textContent: name[0].toUpperCase() + name.slice(1), 'data-view': name })));
+  const $body = h('div', { className: 'body' });
+  const $panel = h('div', { className: 'panel collapsed' },
+    h('header', {}, h('strong', { textContent: 'Store' }), $tabs, $timeline, $undo, $redo, $toggle), $views, $body);
+  root.append(h('style', { textContent: devPanelStyles }), $panel);
+  document.body.appendChild(host);
+
+  const active = () => tabs.get(activeId);
+
+  /**
+   * Renders the state as one editable row per leaf value. Editing a value dispatches
+   * `set-<path>` with the input parsed as JSON (or kept as a string).
+   * @param {Object} tab - Store handle.
+   * @returns {Node}
+   */
+  const renderState = (tab) => {
+    const rows = [];
+    const walk = (value, path) => {
+      const branch = value !== null && typeof value === 'object'
+        && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) && Object.keys(value).length;
+      if (!branch || !path) {
+        if (path) rows.push([path, value]);
+        else Object.keys(value).forEach(key => walk(value[key], key));
+        return;
+      }
+      Object.keys(value).forEach(key => walk(value[key], `${path}.${key}`));
+    };
+    walk(tab.getState(), '');
+    return h('div', {},
+      h('button', { textContent: 'Reset', title: 'Reset to the initial state and clear synced storage', onclick: () => tab.clear() }),
+      h('table', {}, ...rows.map(([path, value]) => h('tr', {},
+        h('th', { textContent: path }),
+        h('td', {}, h('input', {
+          value: preview(value, Infinity),
+          'aria-label': path,
+          onchange: (e) => {
+            let next = e.target.value;
+            try {
+              next = JSON.parse(next);
+            } catch { }
+            tab.edit(path, next);
+          },
+          onblur: () => scheduleRepaint()
+        }))))));
+  };
+
+  /**
+   * Renders the action log (newest first, filtered by type) and the diff of the selected entry.
+   * @param {Object} tab - Store handle.
+   * @returns {Node}
+   */
+  const renderActions = (tab) => {
+    const $filter = h('input', { type: 'search', placeholder: 'Filter by type', value: filter });
+    $filter.oninput = () => {
+      filter = $filter.value;
+      repaint();
+    };
+    const entries = tab.log.filter(entry => entry.type.toLowerCase().includes(filter.toLowerCase()));
+    const entry = tab.log.find(item => item.id === selected);
+    const diff = entry && entry.patches.length
+      ? entry.patches.map(({ op, path, value }) => {
+        const before = entry.inversePatches.find(inverse => inverse.path === path);
+        const change = op === 'remove' ? preview(before?.value)
+          : op === 'replace' ? `${preview(before?.value)} → ${preview(value)}` : preview(value);
+        return h('div', { className: op, textContent: `${op} ${path}: ${change}` });
+      })
+      : [entry ? 'No state changes' : 'Select an action to see its changes'];
+    return h('div', {}, $filter,
+      h('ol', {}, ...entries.slice().reverse().map(item => h('li', {
+        'aria-selected': String(item.id === selected),
+        onclick: () => {
+          selected = item.id;
+          repaint();
+        }
+      },
+      h('code', { textContent: item.type }),
+      h('span', { className: 'payload', textContent: preview(item.payload) }),
+      h('span', { className: 'duration', textContent: item.duration === undefined ? '' : `${item.duration.toFixed(1)} ms` })))),
+      h('pre', {}, ...diff));
+  };
+
+  /**
+   * Renders computed values (with dependencies), watchers, bindings and effects.
+   * @param {Object} tab - Store handle.
+   * @returns {Node}
+   */
+  const renderInspector = (tab) => {
+    const { computed, watchers, bindings, effects } = tab.inspect();
+    const table = (title, rows) => [h('h4', { textContent: `${title} (${rows.length})` }),
+      h('table', {}, ...rows.map(cells => h('tr', {}, ...cells.map(cell => h('td', { textContent: cell })))))];
+    return h('div', {},
+      ...table('Computed', computed.map(({ key, value, deps, dirty }) => [key, preview(value), deps.join(', '), dirty ? 'dirty' : ''])),
+      ...table('Watchers', watchers.map(({ path, count }) => [path, `${count}×`])),
+      ...table('Bindings', bindings.map(({ path, count }) => [path, `${count} element${count === 1 ? '' : 's'}`])),
+      ...table('Effects', effects.map(({ type, status }) => [type, status])));
+  };
+
+  /**
+   * Redraws the tabs, timeline and current view. The state view is left alone while one of
+   * its inputs is being edited.
+   */
+  const repaint = () => {
+    scheduled = false;
+    const tab = active();
+    if (!tab) return;
+    $tabs.replaceChildren(...[...tabs].map(([id, { label }]) => h('button', {
+      textContent: label,
+      'aria-selected': String(id === activeId),
+      onclick: () => {
+        activeId = id;
+        selected = null;
+        repaint();
+      }
+    })));
+    $timeline.replaceChildren(...tab.history().map(({ label, current }, i) =>
+      h('option', { value: i, textContent: `#${i} ${label}`, selected: current })));
+    $views.querySelectorAll('button').forEach(button => button.setAttribute('aria-selected', String(button.dataset.view === view)));
+    $panel.classList.toggle('collapsed', collapsed);
+    $toggle.textContent = collapsed ? 'Show' : 'Hide';
+    if (collapsed) return;
+    const editing = view === 'state' && $body.contains(root.activeElement);
+    if (editing) return;
+    const render = { state: renderState, actions: renderActions, inspector: renderInspector }[view];
+    const focused = root.activeElement?.type === 'search';
+    $body.replaceChildren(render(tab));
+    if (focused) $body.querySelector('input[type="search"]')?.focus();
+  };
+
+  /**
+   * Coalesces repaints triggered by a burst of updates.
+   */
+  const scheduleRepaint = () => {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(repaint);
+  };
+
+  $timeline.onchange = () => active()?.jumpTo(Number($timeline.value));
+  $undo.onclick = () => active()?.undo();
+  $redo.onclick = () => active()?.redo();
+  $toggle.onclick = () => {
+    collapsed = !collapsed;
+    repaint();
+  };
+  $views.onclick = (e) => {
+    if (!e.target.dataset.view) return;
+    view = e.target.dataset.view;
+    repaint();
+  };
+
+  const onKeydown = (e) => {
+    if (isEditableTarget(e)) return;
+    const isMac = /mac/i.test(navigator.platform);
+    const ctrlKey = isMac ? e.metaKey : e.ctrlKey;
+    if (!ctrlKey || e.key.toLowerCase() !== 'z' || !active()) return;
+    if (e.shiftKey) active().redo();
+    else active().undo();
+    e.preventDefault();
+  };
+  window.addEventListener('keydown', onKeydown);
+
+  return {
+    add: (tab) => {
+      const id = ++devPanelIds;
+      tab.label ??= `store ${id}`;
+      tabs.set(id, tab);
+      activeId ??= id;
+      tab.onUpdate = scheduleRepaint;
+      scheduleRepaint();
+      return () => {
+        tabs.delete(id);
+        if (activeId === id) activeId = tabs.keys().next().value ?? null;
+        if (tabs.size) {
+          scheduleRepaint();
+          return;
+        }
+        window.removeEventListener('keydown', onKeydown);
+        host.remove();
+        devPanel = null;
+      };
+    }
+  };
+};
+
 /**
  * Creates a reactive store with fine-grained subscriptions, DOM binding,
  * computed values, event helpers, inter-store links, and optional dev tools.
@@ -20,622 +648,3350 @@
  * @param {string|Object} config - Configuration object or name string.
  * @param {string} [config.name] - Used to expose globals as `nameStore`.
  * @param {Object} [config.initialState={}] - Base state object.
+ * @param {Object<string, Object>} [config.modules] - Modules by name, see `registerModule`.
  * @param {boolean} [config.enableDevPanel=false] - Show debug panel.
+ * @param {boolean|Object} [config.reduxDevTools=false] - Connect to the Redux DevTools extension
+ *   (`true`, or options for its `connect()`), see `connectDevTools`.
+ * @param {Object} [config.schema] - Validation rules keyed by dot path.
+ * @param {'reject'|'warn'} [config.validationMode='reject'] - What to do with invalid updates.
+ * @param {Function} [config.sanitizeHtml] - Sanitizer applied to `data-bind-html` values.
+ * @param {string} [config.localeKey='locale'] - State path holding the locale used by formatters.
+ * @param {Object} [config.storageDriver=localStorage] - Storage for `syncStorage` keys; its methods may return promises.
+ * @param {number} [config.version=0] - Version of the persisted state shape.
+ * @param {Function} [config.migrate] - Upgrades outdated persisted state: `(oldState, fromVersion) => newState`.
+ * @param {string} [config.storageVersionKey='__storeVersion'] - Storage key holding the persisted version.
+ * @param {number} [config.storageDebounce=0] - Wait this many ms after the last change before writing.
+ * @param {number} [config.storageThrottle=0] - Write at most once per this many ms.
+ * @param {boolean|string[]|Object} [config.crossTab=false] - Keeps paths in sync across tabs: `true` (the
+ *   `syncStorage` keys, or every root key), a list of paths, or `{ paths, channel, strategy }`.
+ * @param {Object} [config.history] - Undo history options.
+ * @param {number} [config.history.limit=100] - Maximum number of entries kept (oldest dropped first).
+ * @param {string[]} [config.history.exclude=[]] - Path patterns never recorded or restored (e.g. `ui.*`).
+ * @param {number} [config.history.groupWithin=0] - Merge consecutive same-type entries closer than this (ms).
+ * @param {Object|string} [config.hydrate] - State (or its `serialize()` JSON) rendered on the server.
+ *   Its root keys replace those of `initialState`, and `data-each` lists adopt the server-rendered rows.
  * @returns {object} - Store instance API.
  */
 export const createStore = (config = {}) => {
   const opts = typeof config === 'string' ? { name: config } : config;
-  const { name, initialState = {}, enableDevPanel = false, syncStorage = false, storageDriver = localStorage, storageEncrypt = JSON.stringify, storageDecrypt = JSON.parse } = opts;
+  const { name, initialState: baseState = {}, modules = {}, enableDevPanel = false, syncStorage = false, storageDriver = globalThis.localStorage, storageEncrypt = JSON.stringify, storageDecrypt = JSON.parse, schema = {}, validationMode = 'reject', sanitizeHtml, localeKey = 'locale', hydrate, version = 0, migrate, storageVersionKey = '__storeVersion', storageDebounce = 0, storageThrottle = 0, crossTab = false, history: historyConfig = {}, reduxDevTools = false } = opts;
+  const { limit: historyLimit = 100, exclude: historyExclude = [], groupWithin = 0 } = historyConfig;
+
+  // Each module's state lives under its name; lazily registered modules are added later
+  const initialState = { ...baseState };
+  Object.entries(modules).forEach(([key, module]) => {
+    initialState[key] = module.initialState ?? {};
+  });
+  // Modules are persisted only as their own `persist` option says, even with `syncStorage: true`
+  const localKeys = [...new Set([
+    ...(syncStorage === true ? Object.keys(baseState) : Array.isArray(syncStorage) ? syncStorage : []),
+    ...Object.entries(modules).flatMap(([key, module]) => modulePersistPaths(key, module))
+  ])];
+  const hydrated = typeof hydrate === 'string' ? JSON.parse(hydrate) : hydrate;
+  const state = structuredClone({ ...initialState, ...hydrated });
+
+  /**
+  * Safely retrieves a nested property from an object using dot notation.
+  * @param {object} obj - The object to traverse.
+  * @param {string} path - Dot-separated key path.
+  * @returns {*} - The nested value or undefined.
+  */
+  const getAtPath = (obj, path) => path.split('.').reduce((o, k) => (o || {})[k], obj);
+  /**
+   * Marker returned by an updater to remove a key instead of writing to it.
+   */
+  const REMOVE = Symbol('remove');
+
+  /**
+   * Checks for plain objects (not arrays, Dates, Maps, class instances...).
+   * @param {*} val - Value to check.
+   * @returns {boolean}
+   */
+  const isPlainObject = (val) => val !== null && typeof val === 'object'
+    && [Object.prototype, null].includes(Object.getPrototypeOf(val));
+
+  /**
+   * Returns `obj` with the value at `keys` replaced by `fn(current)`. Only the objects along
+   * the path are copied (copy-on-write), so untouched subtrees stay shared between snapshots.
+   * Returns `obj` itself if nothing changed.
+   * @param {*} obj - Object to update.
+   * @param {string[]} keys - Path segments below `obj`.
+   * @param {Function} fn - Updater receiving the current value; may return `REMOVE`.
+   * @returns {*} - The updated object, or `REMOVE`.
+   */
+  const updateIn = (obj, keys, fn) => {
+    if (!keys.length) return fn(obj);
+    const [head, ...rest] = keys;
+    const base = obj !== null && typeof obj === 'object' ? obj : {};
+    const next = updateIn(base[head], rest, fn);
+    const unchanged = next === REMOVE ? !(head in base) : head in base && Object.is(next, base[head]);
+    if (unchanged) return obj;
+    const copy = Array.isArray(base) ? [...base] : { ...base };
+    if (next !== REMOVE) copy[head] = next;
+    else if (Array.isArray(copy)) copy.splice(Number(head), 1);
+    else delete copy[head];
+    return copy;
+  };
+
+  /**
+   * Applies `fn` to the value at a path of a root state object. The root is modified
+   * in place; everything below it is copy-on-write.
+   * @param {Object} root - Root state object.
+   * @param {string} path - Dot-separated key path.
+   * @param {Function} fn - Updater receiving the current value; may return `REMOVE`.
+   * @returns {boolean} - Whether the state changed.
+   */
+  const writeAtPath = (root, path, fn) => {
+    const [head, ...rest] = path.split('.');
+    const next = updateIn(root[head], rest, fn);
+    if (next === REMOVE) {
+      if (!(head in root)) return false;
+      delete root[head];
+      return true;
+    }
+    if (head in root && Object.is(next, root[head])) return false;
+    root[head] = next;
+    return true;
+  };
+
+  /**
+   * Replaces the contents of the live state with those of `next`.
+   * @param {Object} next - Next root state object.
+   */
+  const replaceState = (next) => {
+    Object.keys(state).forEach(k => delete state[k]);
+    Object.assign(state, next);
+  };
+
+  /**
+   * Structurally compares `next` against `prev` and returns `prev` (or its subtrees) wherever
+   * they are equal, so unchanged parts keep their identity and can be compared by reference.
+   * @param {*} prev - Previous value.
+   * @param {*} next - Next value.
+   * @param {string} [path=''] - Dot path of the value, used for reporting.
+   * @param {string[]} [changes=[]] - Receives the paths that differ.
+   * @returns {*} - `prev` if equal, otherwise `next` sharing the unchanged subtrees of `prev`.
+   */
+  const reconcile = (prev, next, path = '', changes = []) => {
+    if (Object.is(prev, next)) return prev;
+    const bothArrays = Array.isArray(prev) && Array.isArray(next);
+    if (bothArrays || (isPlainObject(prev) && isPlainObject(next))) {
+      const out = bothArrays ? [] : {};
+      let same = bothArrays ? prev.length === next.length : Object.keys(prev).length === Object.keys(next).length;
+      if (bothArrays && !same) changes.push(path);
+      for (const k of Object.keys(next)) {
+        const childPath = path ? `${path}.${k}` : k;
+        out[k] = k in prev ? reconcile(prev[k], next[k], childPath, changes) : next[k];
+        if (!(k in prev)) changes.push(childPath);
+        if (out[k] !== prev[k] || !(k in prev)) same = false;
+      }
+      for (const k of Object.keys(prev)) {
+        if (!(k in next)) changes.push(path ? `${path}.${k}` : k);
+      }
+      return same ? prev : out;
+    }
+    if (prev instanceof Date && next instanceof Date && prev.getTime() === next.getTime()) return prev;
+    changes.push(path);
+    return next;
+  };
+
+  /**
+   * Appends the JSON Patch operations turning `prev` into `next`. Identical subtrees are
+   * skipped without being walked (copy-on-write keeps unchanged parts identical), arrays are
+   * compared index by index with appends and truncations as `add`/`remove`.
+   * @param {*} prev - Previous value.
+   * @param {*} next - Next value.
+   * @param {Array<string|number>} [segments=[]] - Path of the values.
+   * @param {Object[]} [ops=[]] - Receives the operations.
+   * @returns {Object[]} - `ops`.
+   */
+  const diffPatches = (prev, next, segments = [], ops = []) => {
+    if (Object.is(prev, next)) return ops;
+    const path = toPointer(segments);
+    if (next === undefined) ops.push({ op: 'remove', path });
+    else if (prev === undefined) ops.push({ op: 'add', path, value: next });
+    else if (Array.isArray(prev) && Array.isArray(next)) {
+      const common = Math.min(prev.length, next.length);
+      for (let i = 0; i < common; i++) diffPatches(prev[i], next[i], [...segments, i], ops);
+      for (let i = common; i < next.length; i++) ops.push({ op: 'add', path: toPointer([...segments, i]), value: next[i] });
+      for (let i = prev.length - 1; i >= common; i--) ops.push({ op: 'remove', path: toPointer([...segments, i]) });
+    } else if (isPlainObject(prev) && isPlainObject(next)) {
+      for (const k of Object.keys(prev)) {
+        if (!(k in next)) ops.push({ op: 'remove', path: toPointer([...segments, k]) });
+      }
+      for (const k of Object.keys(next)) diffPatches(k in prev ? prev[k] : undefined, next[k], [...segments, k], ops);
+    } else {
+      ops.push({ op: 'replace', path, value: next });
+    }
+    return ops;
+  };
+
+  /**
+   * Applies JSON Patch operations to a root state object without mutating it (copy-on-write).
+   * Supports `add`, `remove`, `replace`, `move`, `copy` and `test`; `-` appends to an array.
+   * Removing a missing value is a no-op, so history patches still apply after untracked changes.
+   * @param {Object} root - Root state object.
+   * @param {Object[]} patches - JSON Patch operations.
+   * @returns {Object} - The patched root.
+   * @throws {Error} - When a `test` operation fails or an operation is unknown.
+   */
+  const applyPatchOps = (root, patches) => patches.reduce((doc, { op, path, from, value }) => {
+    const keys = fromPointer(path);
+    const parentKeys = keys.slice(0, -1);
+    const last = keys[keys.length - 1];
+    const readPointer = (pointer) => fromPointer(pointer).reduce((o, k) => (o == null ? undefined : o[k]), doc);
+    const insert = (target, val) => updateIn(target, parentKeys, parent => {
+      if (!Array.isArray(parent)) return { ...parent, [last]: val };
+      const index = last === '-' ? parent.length : Math.min(Number(last), parent.length);
+      return [...parent.slice(0, index), val, ...parent.slice(index)];
+    });
+    const remove = (target, removeKeys) => {
+      if (!removeKeys.length) return {};
+      const exists = removeKeys.reduce((o, k) => (o != null && typeof o === 'object' && k in o ? o[k] : undefined), target) !== undefined;
+      return exists ? updateIn(target, removeKeys, () => REMOVE) : target;
+    };
+    if (!keys.length && ['add', 'replace'].includes(op)) return { ...value };
+    switch (op) {
+      case 'add': return insert(doc, value);
+      case 'remove': return remove(doc, keys);
+      case 'replace': return updateIn(doc, keys, () => value);
+      case 'copy': return insert(doc, readPointer(from));
+      case 'move': return insert(remove(doc, fromPointer(from)), readPointer(from));
+      case 'test':
+        if (reconcile(readPointer(path), value) !== readPointer(path)) throw new Error(`Patch test failed at "${path}"`);
+        return doc;
+      default: throw new Error(`Unknown patch operation "${op}"`);
+    }
+  }, root);
+
+  /**
+   * Checks whether two dot paths touch the same part of the state tree,
+   * i.e. they are equal or one is an ancestor of the other.
+   * @param {string} a - First dot path.
+   * @param {string} b - Second dot path.
+   * @returns {boolean} - True if a change at one affects the other.
+   */
+  const pathsOverlap = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+  /**
+   * Path-aware mutation verbs understood by `dispatch('<verb>-<path>', payload)`.
+   * Each receives the current value at the path and the payload and returns the next value.
+   * `delete` is handled separately since it removes the key instead of writing to it.
+   */
+  const mutators = {
+    set: (_, payload) => payload,
+    merge: (current, payload) => ({ ...(current ?? {}), ...payload }),
+    push: (current, payload) => [...(Array.isArray(current) ? current : []), payload],
+    remove: (current, payload) => (Array.isArray(current) ? current : []).filter(item =>
+      typeof payload === 'function' ? !payload(item) : item !== payload
+    ),
+    toggle: (current, payload) => typeof payload === 'boolean' ? payload : !current
+  };
+
+  /**
+   * Registered modules by name, with their persisted paths and the functions removing
+   * their actions, effects and computed values.
+   * @type {Map<string, {paths: string[], cleanups: Function[]}>}
+   */
+  const registeredModules = new Map();
+
+  /**
+   * Splits an action type into a known mutation verb and its target path.
+   * Only the first dash separates the verb, so keys may contain dashes (`set-dark-mode`).
+   * Types prefixed with a module name (`cart/set-items`) target paths inside the module's state.
+   * @param {string} type - The action type.
+   * @returns {{verb: string, path: string}|null} - Parsed mutation, or null for plain events.
+   */
+  const parseMutation = (type) => {
+    if (typeof type !== 'string') return null;
+    const slash = type.indexOf('/');
+    if (slash > 0 && registeredModules.has(type.slice(0, slash))) {
+      const mutation = parseMutation(type.slice(slash + 1));
+      return mutation && { ...mutation, path: `${type.slice(0, slash)}.${mutation.path}` };
+    }
+    const dash = type.indexOf('-');
+    if (dash <= 0) return null;
+    const verb = type.slice(0, dash);
+    const path = type.slice(dash + 1);
+    if (!path || (verb !== 'delete' && !(verb in mutators))) return null;
+    return { verb, path };
+  };
+
+  /**
+   * Current validation errors keyed by schema path, replaced (never mutated) on change.
+   * Readable (and bindable) under the virtual `$errors.<path>` path.
+   * @type {Object<string, string>}
+   */
+  let errorState = {};
+
+  /**
+   * Checks a value against a schema rule.
+   * Supported rule fields: `type` ('string', 'number', 'integer', 'boolean', 'array', 'object',
+   * 'date'), `required`, `enum`, `min`/`max` (numbers and dates), `minLength`/`maxLength`,
+   * `pattern` and a custom `validate(value, state)` returning true or a message.
+   * @param {string} path - Dot path being validated, used in messages.
+   * @param {Object} rule - Schema rule.
+   * @param {*} value - Value to check.
+   * @param {Object} root - Candidate state, passed to custom validators.
+   * @returns {string|null} - Error message, or null if valid.
+   */
+  const validateValue = (path, rule, value, root) => {
+    const fail = (reason) => rule.message || `${path} ${reason}`;
+    if (value === undefined || value === null || value === '') {
+      return rule.required ? fail('is required') : null;
+    }
+    const typeChecks = {
+      string: v => typeof v === 'string',
+      number: v => typeof v === 'number' && !Number.isNaN(v),
+      integer: v => Number.isInteger(v),
+      boolean: v => typeof v === 'boolean',
+      array: v => Array.isArray(v),
+      object: v => isPlainObject(v),
+      date: v => v instanceof Date && !Number.isNaN(v.getTime())
+    };
+    if (rule.type && typeChecks[rule.type] && !typeChecks[rule.type](value)) return fail(`must be a ${rule.type}`);
+    if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of ${rule.enum.join(', ')}`);
+    if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+    if (rule.minLength !== undefined && value.length < rule.minLength) return fail(`must have at least ${rule.minLength} characters`);
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail(`must have at most ${rule.maxLength} characters`);
+    if (rule.pattern && !rule.pattern.test(String(value))) return fail('has an invalid format');
+    if (typeof rule.validate === 'function') {
+      const result = rule.validate(value, root);
+      if (result !== true && result !== undefined) return typeof result === 'string' ? result : fail('is invalid');
+    }
+    return null;
+  };
+
+  /**
+   * Converts a raw string (from an input or storage) to the type its schema rule expects.
+   * Empty strings become null; unparsable numbers and dates stay invalid so validation reports them.
+   * @param {string} path - Dot path of the value.
+   * @param {*} value - Raw value.
+   * @returns {*} - Coerced value.
+   */
+  const coerce = (path, value) => {
+    const rule = schema[path];
+    if (!rule || typeof value !== 'string') return value;
+    if (['number', 'integer', 'date', 'boolean'].includes(rule.type) && value.trim() === '') return null;
+    if (rule.type === 'number' || rule.type === 'integer') return Number(value);
+    if (rule.type === 'boolean') return ['true', 'on', '1'].includes(value.toLowerCase());
+    if (rule.type === 'date') return new Date(value);
+    return value;
+  };
+
+  /**
+   * Validates every schema path affected by the changed paths against a candidate state
+   * and updates `errorState` accordingly.
+   * @param {Object} root - Candidate state.
+   * @param {string[]} [changes] - Changed paths; validates all schema paths if omitted.
+   * @returns {{errors: Object<string, string>, errorChanges: string[]}} - Failing paths with
+   *   their messages, and the `$errors.*` paths whose message changed.
+   */
+  const validateState = (root, changes) => {
+    const errors = {};
+    const errorChanges = [];
+    for (const [path, rule] of Object.entries(schema)) {
+      if (changes && !changes.some(change => pathsOverlap(change, path))) continue;
+      const message = validateValue(path, rule, getAtPath(root, path), root);
+      if (message) errors[path] = message;
+      if ((errorState[path] ?? null) === message) continue;
+      const { [path]: _, ...rest } = errorState;
+      errorState = message ? { ...rest, [path]: message } : rest;
+      errorChanges.push(`$errors.${path}`);
+    }
+    return { errors, errorChanges };
+  };
+
+  /**
+   * Synced paths waiting to be written to storage.
+   */
+  const pendingWrites = new Set();
+  /**
+   * Number of bound `data-sync` model elements per path they added to the synced paths.
+   * @type {Map<string, number>}
+   */
+  const syncedModels = new Map();
+  /**
+   * Whether persisted state has been loaded; writes are held back until then.
+   */
+  let storageLoaded = false;
+  let writeTimer = null;
+  let lastWrite = 0;
+  /**
+   * Settles once every write started so far has finished.
+   * @type {Promise<void>}
+   */
+  let writesSettled = Promise.resolve();
+
+  /**
+   * Emits a `persistence-error` event (asynchronously, so errors while loading
+   * reach subscribers added right after `createStore`).
+   * @param {'read'|'write'|'migrate'} operation - What failed.
+   * @param {*} error - The error.
+   * @param {string} [key] - Storage key involved.
+   */
+  const reportStorageError = (operation, error, key) => {
+    queueMicrotask(() => notify('persistence-error', { operation, key, error }));
+  };
+
+  /**
+   * Decodes a stored item with `storageDecrypt`, falling back to the raw item.
+   * @param {*} raw - Stored item.
+   * @returns {*}
+   */
+  const decodeStored = (raw) => {
+    try {
+      return storageDecrypt(raw);
+    } catch {
+      return raw; // fallback
+    }
+  };
+
+  /**
+   * Brings persisted values written by an older `version` up to date with `migrate`.
+   * Without a `migrate` function (or if it throws) outdated values are discarded.
+   * Every synced path is rewritten afterwards, together with the new version.
+   * @param {Object} stored - Decoded values keyed by synced path.
+   * @param {number} fromVersion - Version the values were written with.
+   * @param {string[]} paths - Synced paths being read.
+   * @returns {Object} - Values keyed by synced path.
+   */
+  const migrateStored = (stored, fromVersion, paths) => {
+    paths.forEach(path => pendingWrites.add(path));
+    pendingWrites.add(storageVersionKey);
+    if (!Object.keys(stored).length || typeof migrate !== 'function') return {};
+    const oldState = {};
+    Object.entries(stored).forEach(([path, value]) => writeAtPath(oldState, path, () => value));
+    try {
+      const next = migrate(oldState, fromVersion);
+      return Object.fromEntries(paths
+        .map(path => [path, getAtPath(next, path)])
+        .filter(([, value]) => value !== undefined));
+    } catch (error) {
+      reportStorageError('migrate', error, storageVersionKey);
+      return {};
+    }
+  };
+
+  /**
+   * Reads the version and synced paths from the storage driver.
+   * @param {string[]} [paths=localKeys] - Synced paths to read.
+   * @returns {Object|Promise<Object>} - Decoded (and migrated) values keyed by path;
+   *   a promise when the driver is asynchronous.
+   */
+  const readStorage = (paths = localKeys) => {
+    const keys = [storageVersionKey, ...paths];
+    const reads = keys.map(key => {
+      try {
+        return storageDriver.getItem(key);
+      } catch (error) {
+        reportStorageError('read', error, key);
+        return null;
+      }
+    });
+    const raws = reads.some(isThenable)
+      ? Promise.all(reads.map((read, i) => Promise.resolve(read).catch(error => {
+        reportStorageError('read', error, keys[i]);
+        return null;
+      })))
+      : reads;
+    return whenResolved(raws, ([rawVersion, ...rawValues]) => {
+      const stored = {};
+      rawValues.forEach((raw, i) => {
+        if (raw !== null && raw !== undefined) stored[paths[i]] = decodeStored(raw);
+      });
+      const fromVersion = rawVersion === null || rawVersion === undefined ? 0 : Number(decodeStored(rawVersion));
+      return fromVersion === version ? stored : migrateStored(stored, fromVersion, paths);
+    });
+  };
+
+  /**
+   * Builds the state with stored values applied, coercing and validating each one like an
+   * update: invalid values are dropped, or kept with a warning in `warn` mode.
+   * @param {Object} stored - Decoded values keyed by synced path.
+   * @returns {Object} - The next root state.
+   */
+  const applyStored = (stored) => {
+    let candidate = { ...state };
+    for (const [path, value] of Object.entries(stored)) {
+      const next = { ...candidate };
+      writeAtPath(next, path, () => coerce(path, value));
+      const { errors } = validateState(next, [path]);
+      if (Object.keys(errors).length) {
+        console.warn(`Invalid stored value for "${path}"`, errors);
+        if (validationMode !== 'warn') {
+          validateState(candidate, [path]);
+          continue;
+        }
+      }
+      candidate = next;
+    }
+    return candidate;
+  };
+
+  // Load from storage if enabled
+  const storedState = storageDriver && localKeys.length ? readStorage() : {};
+  if (!isThenable(storedState)) {
+    replaceState(applyStored(storedState));
+    storageLoaded = true;
+  }
+
+  /**
+  * Subscribers for all store events. Functions here receive
+  * { type, payload, patches, inversePatches } (JSON Patch operations of the update and its undo).
+  */
+  const listeners = new Set();
+  /**
+  * Registered computed properties keyed by name. Each entry caches its last value
+  * and the state paths it read, and is marked dirty when one of those paths changes.
+  * @type {Map<string, {fn: Function, value: *, deps: Set<string>|null, dirty: boolean}>}
+  */
+  const computedFns = new Map();
+  /**
+  * Dependency sets of the computed values currently being evaluated (innermost last).
+  */
+  const trackingStack = [];
+  /**
+  * Maps tracking proxies back to the raw object and path they wrap.
+  */
+  const proxyTargets = new WeakMap();
+  /**
+  * Registered action handlers keyed by action type, each `(state, payload) => nextState`.
+  */
+  const actionHandlers = new Map();
+  /**
+  * Registered async effects keyed by action type, with their mode and in-flight runs.
+  * @type {Map<string, {fn: Function, mode: string, runs: Set<AbortController>}>}
+  */
+  const effectHandlers = new Map();
+  /**
+  * Status of each effect, readable (and bindable) under the virtual `$effects.<type>` path.
+  * Kept outside the state so it is never persisted or recorded in history.
+  */
+  const effectState = {};
+  /**
+  * Undo/redo availability (`canUndo`, `canRedo`, `index`, `length`, and the same per scope under
+  * `scopes.<path>`), readable (and bindable) under the virtual `$history` path.
+  */
+  let historyState = {};
+  /**
+  * DOM element bindings keyed by state key, used for reactive rendering.
+  */
+  const bindings = new Map();
+  /**
+  * Rendered `data-each` lists keyed by container element, holding their rows by item key.
+  * @type {WeakMap<Element, {rows: Map<string, Object>, dispatchOptions: Object}>}
+  */
+  const lists = new WeakMap();
+  /**
+  * Comment placeholders standing in for `data-if` elements while they are removed.
+  */
+  const ifPlaceholders = new WeakMap();
+  /**
+  * The hidden `data-if` element behind each placeholder, so releasing a container that holds
+  * only the placeholder also releases the element.
+  */
+  const ifTargets = new WeakMap();
+  /**
+  * DOM events already wired through `data-on:<event>`, per element.
+  */
+  const boundEvents = new WeakMap();
+  /**
+  * `data-format` formatters by name, seeded with the built-ins.
+  */
+  const formatters = new Map(Object.entries(defaultFormatters));
+  /**
+  * `data-format` chains that already failed once, so the warning is not repeated on every render.
+  */
+  const failedFormats = new Set();
+  /**
+  * Cleanup functions (listener removal, watcher unsubscription) registered per bound element.
+  * @type {WeakMap<Element, Function[]>}
+  */
+  const elementCleanups = new WeakMap();
+  /**
+  * Teardown functions for links, observers and dev tools, run by `destroy()`.
+  */
+  const teardowns = new Set();
+  /**
+  * Global watchers invoked on every dispatch with (nextState, prevState).
+  */
+  const watchAllFns = new Set();
+  /**
+  * Internal hooks invoked with the changed paths of every update (used by `sync`).
+  */
+  const changeHooks = new Set();
+  /**
+  * Repaints this store's dev panel tab, set while `enableDevPanel` is on.
+  */
+  let devPanelUpdate = null;
+  /**
+  * Selector subscriptions (see `select`), each with the last selected value and the paths
+  * the selector read; re-run only when a change overlaps those paths.
+  * @type {Set<{selector: Function, callback: Function, equals: Function, value: *, deps: Set<string>, once: boolean}>}
+  */
+  const selections = new Set();
+  /**
+  * Active action recording (see `store.recorder`). `recordDepth` counts the recorded steps being
+  * applied, so updates nested in a step belong to it; `replaying` suppresses effects during replay.
+  */
+  let activeRecording = null;
+  let recordDepth = 0;
+  let replaying = false;
+  /**
+  * The step of the batch running while recording, if any.
+  */
+  let batchStep = null;
+  /**
+  * Key/path watchers indexed by the path (or computed name) they observe. Each entry keeps
+  * the last value it saw; only paths overlapping a change set are re-read.
+  * @type {Map<string, Set<{prev: *, fn: Function}>>}
+  */
+  const watchers = new Map();
+  /**
+  * Records a committed dispatch in the undo history, set once the history is set up.
+  * @type {Function|null}
+  */
+  let recordDispatch = null;
+  /**
+  * Open `batch()` depth plus the paths and actions collected while it is open,
+  * flushed as one binding/storage update and one notification when it closes.
+  */
+  let batchDepth = 0;
+  const pendingPaths = new Set();
+  const pendingActions = [];
+
+  /**
+   * Records a state path read by the computed value currently being evaluated.
+   * An empty path stands for the whole state.
+   * @param {string} path - Dot path that was read.
+   */
+  const track = (path) => {
+    const deps = trackingStack[trackingStack.length - 1];
+    if (deps) deps.add(path);
+  };
+
+  /**
+   * Wraps a plain state object in a read-only proxy that records every leaf path read
+   * through it. Arrays and non-plain objects (Date, Map, ...) are tracked as a whole.
+   * @param {object} obj - Plain object to wrap.
+   * @param {string} base - Dot path of `obj` in the state ('' for the root).
+   * @returns {Proxy} - Tracking proxy.
+   */
+  const trackingProxy = (obj, base) => {
+    const proxy = new Proxy(obj, {
+      get: (target, prop, receiver) => {
+        const val = Reflect.get(target, prop, receiver);
+        if (typeof prop === 'symbol') return val;
+        const path = base ? `${base}.${prop}` : prop;
+        if (isPlainObject(val)) return trackingProxy(val, path);
+        track(path);
+        return val;
+      },
+      has: (target, prop) => {
+        if (typeof prop !== 'symbol') track(base ? `${base}.${prop}` : prop);
+        return Reflect.has(target, prop);
+      },
+      ownKeys: (target) => {
+        track(base);
+        return Reflect.ownKeys(target);
+      },
+      set: () => false,
+      deleteProperty: () => false
+    });
+    proxyTargets.set(proxy, { target: obj, path: base });
+    return proxy;
+  };
+
+  /**
+   * Runs `fn(state, get)` against a read-only view of the state, recording the paths it reads.
+   * A returned state subtree is unwrapped from its proxy (and counts as read as a whole).
+   * @param {Function} fn - Derivation (computed function or selector).
+   * @returns {{value: *, deps: Set<string>}} - The result and the paths it depends on.
+   */
+  const runTracked = (fn) => {
+    const deps = new Set();
+    trackingStack.push(deps);
+    try {
+      const result = fn(trackingProxy(state, ''), store.get);
+      const wrapped = proxyTargets.get(result);
+      if (wrapped) track(wrapped.path);
+      return { value: wrapped ? wrapped.target : result, deps };
+    } finally {
+      trackingStack.pop();
+    }
+  };
+
+  /**
+   * Returns a computed value, re-evaluating it only if it is dirty.
+   * Its dependencies are also recorded on any computed value being evaluated around it,
+   * so chained computed values are invalidated by the underlying state paths.
+   * @param {string} key - Computed property name.
+   * @returns {*} - The (cached) computed value.
+   */
+  const evaluateComputed = (key) => {
+    const entry = computedFns.get(key);
+    if (entry.dirty) {
+      const { value, deps } = runTracked(entry.fn);
+      entry.value = reconcile(entry.value, value);
+      entry.deps = deps;
+      entry.dirty = false;
+    }
+    entry.deps.forEach(track);
+    return entry.value;
+  };
+
+  /**
+   * Checks whether a computed value depends on any of the given paths.
+   * Values that were never evaluated are assumed to depend on everything.
+   * @param {string} key - Computed property name.
+   * @param {string[]} paths - Changed dot paths.
+   * @returns {boolean}
+   */
+  const computedDependsOn = (key, paths) => {
+    const { deps } = computedFns.get(key);
+    if (!deps || deps.has('')) return true;
+    return [...deps].some(dep => paths.some(path => pathsOverlap(dep, path)));
+  };
+
+  /**
+   * Marks computed values depending on the changed paths as dirty (all of them if none given).
+   * @param {...string} paths - Changed dot paths.
+   */
+  const invalidateComputed = (...paths) => {
+    computedFns.forEach((entry, key) => {
+      if (!paths.length || computedDependsOn(key, paths)) entry.dirty = true;
+    });
+  };
+
+  /**
+   * Re-reads only the watched paths (and computed values) overlapping the change set,
+   * calling a watcher when its value's identity changed. Copy-on-write updates and
+   * `reconcile` guarantee a new identity exactly when the content changed.
+   * @param {string[]} changes - Paths changed by the update.
+   * @param {boolean} [silent=false] - Only update the values they last saw, without calling them.
+   */
+  const runWatchers = (changes, silent = false) => {
+    if (!changes.length) return;
+    selections.forEach((entry) => {
+      if (!selections.has(entry) || ![...entry.deps].some(dep => dep === '' || changes.some(path => pathsOverlap(dep, path)))) return;
+      const prev = entry.value;
+      const { value, deps } = runTracked(entry.selector);
+      entry.value = value;
+      entry.deps = deps;
+      if (silent || entry.equals(prev, value)) return;
+      if (entry.once) selections.delete(entry);
+      entry.callback(value, prev);
+    });
+    watchers.forEach((entries, key) => {
+      const affected = computedFns.has(key)
+        ? computedDependsOn(key, changes)
+        : changes.some(path => pathsOverlap(key, path));
+      if (!affected) return;
+      const next = store.get(key);
+      entries.forEach(entry => {
+        if (Object.is(next, entry.prev)) return;
+        entry.prev = next;
+        if (!silent) entry.fn(next);
+      });
+    });
+  };
+
+  /**
+   * Registers a watcher for a path or computed name in the path index.
+   * @param {string} key - Dot path or computed name.
+   * @param {Function} fn - Callback with the new value.
+   * @returns {Function} - Unsubscribe function.
+   */
+  const addWatcher = (key, fn) => {
+    const entry = { prev: store.get(key), fn };
+    if (!watchers.has(key)) watchers.set(key, new Set());
+    watchers.get(key).add(entry);
+    return () => {
+      const entries = watchers.get(key);
+      if (!entries) return;
+      entries.delete(entry);
+      if (!entries.size) watchers.delete(key);
+    };
+  };
+
+  /**
+  * Triggers all relevant listeners and watchers for a given state change.
+  * @param {string} type - The action/event type.
+  * @param {*} payload - The associated payload.
+  * @param {string[]} [changes=[]] - Paths changed by the update.
+  * @param {Object} [prevState=state] - Shallow snapshot of the state before the update.
+  */
+  const notify = (type, payload, changes = [], prevState = state) => {
+    if (batchDepth) {
+      pendingActions.push({ type, payload });
+      return;
+    }
+    const patches = diffPatches(prevState, state);
+    const inversePatches = diffPatches(state, prevState);
+    if (activeRecording && !recordDepth && patches.length) {
+      // A change outside any dispatch (undo, async storage load...) is recorded as its patches
+      sealStep(recordStep({ kind: 'patch', type, patches }));
+    }
+    listeners.forEach(fn => fn({ type, payload, patches, inversePatches }));
+    runWatchers(changes);
+    changeHooks.forEach(fn => fn(changes));
+    watchAllFns.forEach(fn => fn(state, prevState, { patches, inversePatches }));
+    devPanelUpdate?.();
+  };
+
+  /**
+   * Writes all pending synced paths (and the version, after a migration) to storage.
+   * Failed writes emit `persistence-error`.
+   * @returns {Promise<void>} - Settles once asynchronous drivers have finished these writes
+   *   and any still running from earlier flushes.
+   */
+  const flushWrites = () => {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    lastWrite = Date.now();
+    const keys = [...pendingWrites];
+    pendingWrites.clear();
+    const writes = Promise.all(keys.map(key => {
+      try {
+        const val = key === storageVersionKey ? version : getAtPath(state, key);
+        const result = val === undefined ? storageDriver.removeItem(key) : storageDriver.setItem(key, storageEncrypt(val));
+        return Promise.resolve(result).catch(error => reportStorageError('write', error, key));
+      } catch (error) {
+        reportStorageError('write', error, key);
+        return undefined;
+      }
+    }));
+    writesSettled = Promise.all([writesSettled, writes]).then(() => undefined);
+    return writesSettled;
+  };
+
+  /**
+   * Writes pending paths now, or once `storageDebounce`/`storageThrottle` allow.
+   */
+  const scheduleWrites = () => {
+    if (!pendingWrites.size || !storageLoaded) return;
+    if (storageThrottle) {
+      const wait = lastWrite + storageThrottle - Date.now();
+      if (wait <= 0) flushWrites();
+      else writeTimer ??= setTimeout(flushWrites, wait);
+    } else if (storageDebounce) {
+      clearTimeout(writeTimer);
+      writeTimer = setTimeout(flushWrites, storageDebounce);
+    } else {
+      flushWrites();
+    }
+  };
+
+  /**
+   * Queues a write for every synced storage path affected by the changed paths, once each.
+   * @param {...string} paths - Dot paths that changed.
+   */
+  const persistPaths = (...paths) => {
+    if (!storageDriver) return;
+    for (const syncPath of store.__syncKeys) {
+      if (paths.some(path => pathsOverlap(path, syncPath))) pendingWrites.add(syncPath);
+    }
+    scheduleWrites();
+  };
+
+  /**
+   * Refreshes computed values, bindings and storage for changed paths,
+   * deferring bindings and storage while a batch is open.
+   * @param {...string} paths - Dot paths that changed.
+   */
+  const touchPaths = (...paths) => {
+    if (!paths.length) return;
+    invalidateComputed(...paths);
+    if (batchDepth) {
+      paths.forEach(path => pendingPaths.add(path));
+      return;
+    }
+    updateBindings(...paths);
+    persistPaths(...paths);
+  };
+
+  /**
+   * Replaces the whole state with `next`, keeping the identity of every unchanged subtree,
+   * then refreshes whatever depends on the paths that actually changed.
+   * @param {Object} next - The next state object.
+   * @returns {string[]} - The paths that changed.
+   */
+  const commitState = (next) => {
+    const changes = [];
+    const merged = reconcile({ ...state }, next, '', changes);
+    if (!changes.length) return changes;
+    replaceState(merged);
+    touchPaths(...changes);
+    return changes;
+  };
+
+  /**
+   * Updates an effect's status and emits the matching lifecycle event
+   * (`<type>-pending`, `<type>-fulfilled` or `<type>-rejected`).
+   * @param {string} type - Effect action type.
+   * @param {Object} patch - Fields to merge into the status.
+   * @param {string} event - Lifecycle event suffix.
+   * @param {*} payload - Event payload.
+   */
+  const updateEffect = (type, patch, event, payload) => {
+    const path = `$effects.${type}`;
+    effectState[type] = { ...effectState[type], ...patch };
+    touchPaths(path);
+    notify(`${type}-${event}`, payload, [path]);
+  };
+
+  /**
+   * Starts a run of an effect. With `takeLatest` any previous run is aborted and its outcome
+   * ignored; with `takeEvery` runs overlap and the effect stays pending until all settle.
+   * @param {string} type - Effect action type.
+   * @param {*} payload - Payload passed to the effect.
+   * @returns {Promise<*>} - Resolves with the effect's result, or undefined if it failed or was aborted.
+   */
+  const runEffect = (type, payload) => {
+    const effect = effectHandlers.get(type);
+    if (effect.mode === 'takeLatest') {
+      effect.runs.forEach(run => run.abort());
+      effect.runs.clear();
+    }
+    const controller = new AbortController();
+    effect.runs.add(controller);
+    updateEffect(type, { status: 'pending', error: null }, 'pending', payload);
+
+    const { signal } = controller;
+    const context = {
+      dispatch: (...args) => (signal.aborted ? undefined : store.dispatch(...args)),
+      getState: store.getState,
+      signal
+    };
+    const settle = (patch, event, value) => {
+      effect.runs.delete(controller);
+      if (signal.aborted) return undefined;
+      if (effect.runs.size) patch = { ...patch, status: 'pending' };
+      updateEffect(type, patch, event, value);
+      return event === 'fulfilled' ? value : undefined;
+    };
+    return Promise.resolve()
+      .then(() => effect.fn(payload, context))
+      .then(
+        data => settle({ status: 'fulfilled', data, error: null }, 'fulfilled', data),
+        error => settle({ status: 'rejected', error }, 'rejected', error)
+      );
+  };
+
+  const store = {
+    __syncKeys: localKeys,
+    /**
+     * Returns a deep copy of the current store state.
+     * @returns {Object} - The current state snapshot.
+     */
+    getState: () => structuredClone(state),
+
+    /**
+     * Serializes the state to JSON that can be inlined in a server-rendered page
+     * (`<`, `>` and `&` are escaped) and passed back as `createStore({ hydrate })`.
+     * @returns {string} - JSON of the current state.
+     */
+    serialize: () => JSON.stringify(state)
+      .replace(unsafeScriptChars, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`),
+
+    /**
+     * Modifies the state or triggers a custom event.
+     * Supports path-aware mutations and emits changes to listeners:
+     * - `set-a.b` writes the payload at the path
+     * - `merge-a.b` shallow-merges the payload object into the value
+     * - `push-a.b` appends the payload to the array
+     * - `remove-a.b` drops array items equal to the payload (or matching a predicate)
+     * - `toggle-a.b` flips the boolean (or sets it, if the payload is a boolean)
+     * - `delete-a.b` removes the key
+     * `apply-patches` applies the JSON Patch operations in the payload (see `applyPatches`).
+     * Prefixed with a module name (`cart/set-items`), the verbs target the module's state.
+     * Types registered with `action()` run their handler instead of the verbs above,
+     * and types registered with `effect()` start the effect after being emitted (also
+     * instead of the verbs, so `delete-account` may name an effect).
+     * Any other type is emitted as a plain event.
+     * Updates failing the `schema` are rejected (emitting `validation-error` instead)
+     * or applied with a warning, depending on `validationMode`.
+     * @param {string} type - The action type (e.g. 'set-theme', 'push-todos').
+     * @param {*} payload - The new value or event data.
+     * @param {Object} [options] - `skipHistory`, `historyLabel` and `historyGroup` (see Time Travel).
+     * @returns {Promise|undefined} - The effect's run, for effect types.
+     */
+    dispatch: (type, payload, options = {}) => {
+      const prevState = { ...state };
+      const mutation = parseMutation(type);
+      let next = prevState;
+      let changes = [];
+      if (actionHandlers.has(type)) {
+        const draft = structuredClone(state);
+        const result = actionHandlers.get(type)(draft, payload);
+        next = reconcile(prevState, result === undefined ? draft : result, '', changes);
+      } else if (type === 'apply-patches') {
+        next = reconcile(prevState, applyPatchOps(prevState, payload), '', changes);
+      } else if (mutation && !effectHandlers.has(type)) {
+        const { verb, path } = mutation;
+        next = { ...state };
+        const changed = writeAtPath(next, path, verb === 'delete'
+          ? () => REMOVE
+          : current => reconcile(current, mutators[verb](current, payload)));
+        if (changed) changes = [path];
+      }
+
+      const { errors, errorChanges } = changes.length ? validateState(next, changes) : { errors: {}, errorChanges: [] };
+      const invalid = Object.keys(errors).length > 0;
+      if (invalid && validationMode === 'warn') console.warn(`Invalid update "${type}"`, errors);
+      if (invalid && validationMode !== 'warn') changes = [];
+      if (changes.length) replaceState(next);
+      touchPaths(...changes, ...errorChanges);
+
+      if (invalid && validationMode !== 'warn') {
+        notify('validation-error', { type, payload, errors }, errorChanges, prevState);
+        return;
+      }
+      // Recorded before listeners run, so dispatches they trigger get their own, later entries
+      if (changes.length && !batchDepth && !options.skipHistory) {
+        recordDispatch?.(prevState, { type, label: options.historyLabel, group: options.historyGroup });
+      }
+      notify(type, payload, [...changes, ...errorChanges], prevState);
+      if (effectHandlers.has(type) && !replaying) return runEffect(type, payload);
+    },
+
+    /**
+     * Registers a handler for an action type that produces the next state.
+     * The handler receives a copy of the state and the payload, and either returns
+     * the next state or mutates the copy and returns nothing. The whole update
+     * results in a single notification and history entry.
+     * @param {string} type - The action type (e.g. 'add-todo').
+     * @param {Function} fn - Handler `(state, payload) => nextState`.
+     * @returns {Function} - Unregisters the handler.
+     */
+    action: (type, fn) => {
+      actionHandlers.set(type, fn);
+      return () => {
+        if (actionHandlers.get(type) === fn) actionHandlers.delete(type);
+      };
+    },
+
+    /**
+     * Registers an async effect started by dispatching its type.
+     * `fn(payload, { dispatch, getState, signal })` may await anything and dispatch as it goes;
+     * `signal` is aborted when the run goes stale or the effect is removed, after which
+     * the run's `dispatch` calls are ignored.
+     * Emits `<type>-pending`, `<type>-fulfilled` (with the result) and `<type>-rejected`
+     * (with the error), and exposes `{ status, data, error }` at `$effects.<type>`.
+     * @param {string} type - The action type (e.g. 'load-user').
+     * @param {Function} fn - Async effect function.
+     * @param {Object} [options]
+     * @param {'takeLatest'|'takeEvery'} [options.mode='takeLatest'] - Whether a new run aborts
+     *   the previous one or runs alongside it.
+     * @returns {Function} - Unregisters the effect, aborts its runs and resets its status to `idle`.
+     */
+    effect: (type, fn, { mode = 'takeLatest' } = {}) => {
+      const effect = { fn, mode, runs: new Set() };
+      effectHandlers.set(type, effect);
+      effectState[type] = { status: 'idle', data: undefined, error: null };
+      touchPaths(`$effects.${type}`);
+      return () => {
+        effect.runs.forEach(run => run.abort());
+        effect.runs.clear();
+        if (effectHandlers.get(type) !== effect) return;
+        effectHandlers.delete(type);
+        // Aborted runs never settle, so a pending status would otherwise stay forever
+        effectState[type] = { ...effectState[type], status: 'idle' };
+        touchPaths(`$effects.${type}`);
+      };
+    },
+
+    /**
+     * Current validation messages keyed by schema path.
+     * @type {Object<string, string>}
+     */
+    get errors() {
+      return errorState;
+    },
+
+    /**
+     * Validates the whole state against the schema (e.g. before submitting a form),
+     * updating `errors` and emitting a `validate` event with the failing paths.
+     * @returns {boolean} - Whether the state is valid.
+     */
+    validate: () => {
+      const { errors, errorChanges } = validateState(state);
+      touchPaths(...errorChanges);
+      notify('validate', errors, errorChanges);
+      return Object.keys(errors).length === 0;
+    },
+
+    /**
+     * Registers a listener for all dispatches.
+     * @param {Function} fn - Function receiving `{ type, payload, patches, inversePatches }`, where
+     *   `patches` are the JSON Patch operations the update applied and `inversePatches` undo them.
+     * @returns {Function} - Unsubscribe function.
+     */
+    subscribe: (fn) => {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * Watches a single top-level key or computed value for changes (shallow or deep).
+     * Only re-checked when a dispatch changes an overlapping path.
+     * @param {string} key - State key or computed name to observe.
+     * @param {Function} fn - Callback with the new value.
+     * @returns {Function} - Unsubscribe function.
+     */
+    watch: (key, fn) => addWatcher(key, fn),
+
+    /**
+     * Watches all state changes and receives full state snapshots.
+     * @param {Function} fn - Callback with (nextState, prevState, { patches, inversePatches }).
+     */
+    watchAll: (fn) => {
+      watchAllFns.add(fn);
+      return () => watchAllFns.delete(fn);
+    },
+
+    /**
+     * Subscribes to any value derived from the state. `selector(state, get)` reads a read-only
+     * view of the state (and computed values through `get`); it is re-run only when a change
+     * overlaps the paths it read, and `callback(next, prev)` fires when the result differs.
+     * @param {Function} selector - `(state, get) => value`.
+     * @param {Function} callback - Called with (next, prev).
+     * @param {Object} [options]
+     * @param {'identity'|'shallow'|'deep'|Function} [options.equals='identity'] - How results are
+     *   compared: `Object.is`, one level deep, structurally (Dates, Maps, Sets, `undefined` values
+     *   included) or with a custom `(prev, next) => boolean`.
+     * @param {boolean} [options.immediate=false] - Also call `callback(value, undefined)` right away.
+     * @param {boolean} [options.fireOnce=false] - Unsubscribe after the first call.
+     * @returns {Function} - Unsubscribe function.
+     */
+    select: (selector, callback, { equals = 'identity', immediate = false, fireOnce = false } = {}) => {
+      const { value, deps } = runTracked(selector);
+      const entry = { selector, callback, equals: resolveEquality(equals), value, deps, once: fireOnce };
+      if (immediate) {
+        callback(value, undefined);
+        if (fireOnce) return () => false;
+      }
+      selections.add(entry);
+      return () => selections.delete(entry);
+    },
+
+    /**
+     * Combines several selectors into one subscription: `callback(values, prevValues)` fires once
+     * per update when any of the selected values changed, each compared with `equals`.
+     * @param {Function[]} selectors - `(state, get) => value` functions.
+     * @param {Function} callback - Called with the arrays of next and previous values.
+     * @param {Object} [options] - Same as `select`.
+     * @returns {Function} - Unsubscribe function.
+     */
+    selectAll: (selectors, callback, { equals = 'identity', ...options } = {}) => {
+      const compare = resolveEquality(equals);
+      return store.select((root, get) => selectors.map(selector => selector(root, get)), callback, {
+        ...options,
+        equals: (prev, next) => next.every((value, i) => compare(prev[i], value))
+      });
+    },
+
+    /**
+     * Responds only to specific action types.
+     * @param {string} type - The action type to listen for.
+     * @param {Function} fn - Callback receiving the payload.
+     */
+    when: (type, fn) => {
+      return store.subscribe(({ type: t, payload }) => {
+        if (t === type) fn(payload);
+      });
+    },
+
+    /**
+     * Responds once to a specific action type, then unsubscribes.
+     * @param {string} type - The action type.
+     * @param {Function} fn - Callback function.
+     */
+    once: (type, fn) => {
+      const off = store.when(type, (payload) => {
+        fn(payload);
+        off();
+      });
+    },
+
+    /**
+     * Shortcut to dispatch a named event.
+     * @param {string} type - Event type.
+     * @param {*} payload - Event data.
+     */
+    emit: (type, payload) => store.dispatch(type, payload),
+
+    /**
+     * Defines a memoized computed property that derives from state.
+     * `fn(state, get)` receives a read-only view of the state; the paths it reads are
+     * tracked and the value is cached until one of them changes. Use `get` to read
+     * other computed values, which chains their dependencies.
+     * Computed values can be read with `get`, watched with `watch` and bound like state keys.
+     * @param {string} key - Name of the computed property.
+     * @param {Function} fn - Function that computes a value from state.
+     */
+    computed: (key, fn) => {
+      computedFns.set(key, { fn, value: undefined, deps: null, dirty: true });
+      updateBindings(key);
+    },
+
+    /**
+     * Gets a state value (by key or dot path) or computed value if defined.
+     * Effect statuses are available under `$effects.<type>`, validation
+     * messages under `$errors.<path>` and undo availability under `$history`.
+     * @param {string} key - The key, dot path or computed name.
+     * @returns {*} - The value.
+     */
+    get: (key) => {
+      if (computedFns.has(key)) return evaluateComputed(key);
+      track(key);
+      if (key === '$effects' || key.startsWith('$effects.')) return getAtPath({ $effects: effectState }, key);
+      if (key === '$errors') return errorState;
+      if (key.startsWith('$errors.')) return errorState[key.slice('$errors.'.length)];
+      if (key === '$history' || key.startsWith('$history.')) return getAtPath({ $history: historyState }, key);
+      return getAtPath(state, key);
+    },
+
+    /**
+     * Registers (or replaces) a `data-format` formatter and re-renders bound elements.
+     * @param {string} name - Name used in `data-format`.
+     * @param {Function} fn - `(value, { el, locale, currency, options }) => formatted`.
+     */
+    formatter: (name, fn) => {
+      formatters.set(name, fn);
+      bindings.forEach((elements, key) => elements.forEach(el => {
+        if (el.dataset.format) renderBoundValue(el, key);
+      }));
+    },
+
+    /**
+     * Binds a state key to DOM elements matching selector.
+     * @param {string} key - State key to bind.
+     * @param {string} selector - DOM selector.
+     */
+    bind: (key, selector) => {
+      if (!hasDocument()) return;
+      document.querySelectorAll(selector).forEach(el => bindElement(el, key));
+    },
+
+    /**
+     * Automatically binds elements with `data-model` and `data-bind` attributes.
+     * `data-sync="localStorage"` on a model element persists its path through the storage driver.
+     * @param {Object} [options]
+     * @param {boolean} [options.observe=false] - Keep binding inserted and releasing removed
+     *   nodes with a MutationObserver.
+     * @returns {Function|undefined} - Stops observing, when `observe` is set.
+     */
+    autoBind: ({ observe = false } = {}) => {
+      if (!hasDocument()) return undefined;
+      scanBindings(document);
+      if (observe) return observeBindings(document.body);
+    },
+
+    /**
+     * One-way reactive link from another store's key.
+     * @param {object} otherStore - External store.
+     * @param {string} key - Key in the other store.
+     * @param {Function} [transformFn] - Optional transform.
+     * @returns {Function} - Removes the link.
+     */
+    link: (otherStore, key, transformFn) => trackTeardown(otherStore.watch(key, (val) => {
+      const newVal = typeof transformFn === 'function' ? transformFn(val) : val;
+      store.dispatch(`set-${key}`, newVal);
+    })),
+
+    /**
+     * Two-way sync between this store and another store.
+     * @param {object} otherStore - External store.
+     * @param {string} key - Shared key.
+     * @param {Function} [transformFn] - Forward transform.
+     * @param {Function} [reverseFn] - Reverse transform.
+     * @returns {Function} - Removes the link in both directions.
+     */
+    linkTwoWay: (otherStore, key, transformFn, reverseFn) => {
+      let locked = false;
+
+      const updateFromOther = (val) => {
+        if (locked) return;
+        locked = true;
+        const newVal = typeof transformFn === 'function' ? transformFn(val) : val;
+        store.dispatch(`set-${key}`, newVal);
+        locked = false;
+      };
+
+      const updateFromThis = (val) => {
+        if (locked) return;
+        locked = true;
+        const newVal = typeof reverseFn === 'function' ? reverseFn(val) : val;
+        otherStore.dispatch(`set-${key}`, newVal);
+        locked = false;
+      };
+
+      const offOther = otherStore.watch(key, updateFromOther);
+      const offThis = store.watch(key, updateFromThis);
+      return trackTeardown(() => {
+        offOther();
+        offThis();
+      });
+    },
+
+    /**
+     * Performs scoped DOM binding for a specific container, including the open shadow roots
+     * of elements inside it. Useful for dynamically inserted components.
+     * @param {Element|ShadowRoot} container - DOM element (or shadow root) to scan for bindings.
+     * @param {Object} [options]
+     * @param {boolean} [options.observe=false] - Keep binding inserted and releasing removed
+     *   nodes inside the container with a MutationObserver.
+     * @returns {Function|undefined} - Stops observing, when `observe` is set.
+     */
+    bindAll: (container, { observe = false } = {}) => {
+      scanBindings(container);
+      if (observe) return observeBindings(container);
+    },
+
+    /**
+     * Releases every binding inside a container: bound elements are no longer rendered or
+     * referenced, and the listeners `autoBind`/`bindAll` added to them are removed.
+     * @param {Document|Element} container - Root to release.
+     */
+    unbindAll: (container) => unbindElements(selectBound(container)),
+
+    /**
+     * Links a nested path from another store to a flat key in this one.
+     * @param {object} otherStore - Source store.
+     * @param {string} fromPath - Dot path in source state.
+     * @param {string} toKey - Key in this store to receive the value.
+     * @param {Function} [transformFn] - Optional value transformer.
+     * @returns {Function} - Removes the link.
+     */
+    linkPath: (otherStore, fromPath, toKey, transformFn) => trackTeardown(otherStore.watchAll((next) => {
+      const val = getAtPath(next, fromPath);
+      if (val !== undefined) {
+        const mapped = transformFn ? transformFn(val) : val;
+        store.dispatch(`set-${toKey}`, mapped);
+      }
+    })),
+
+    /**
+     * Watches changes at a nested path in the state.
+     * Only re-checked when a dispatch changes the path, an ancestor or a descendant.
+     * @param {string} path - Dot-separated key path.
+     * @param {Function} fn - Callback with new value.
+     * @returns {Function} - Unsubscribe function.
+     */
+    watchPath: (path, fn) => addWatcher(path, fn)
+  };
+
+  /**
+   * Checks whether an element is edited as text through `contenteditable`.
+   * @param {HTMLElement} el - Element to check.
+   * @returns {boolean}
+   */
+  const isContentEditable = (el) => el.hasAttribute('contenteditable') && el.getAttribute('contenteditable') !== 'false';
+
+  /**
+   * Checks whether an element takes user input and should be rendered through its value.
+   * @param {HTMLElement} el - Element to check.
+   * @returns {boolean}
+   */
+  const isModelElement = (el) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || isContentEditable(el);
+
+  /**
+   * Reads a typed value from a model element: booleans (or value arrays) for checkboxes,
+   * arrays for `<select multiple>`, numbers for number/range inputs and Dates for date inputs.
+   * A schema rule with a `type` takes precedence for text-like values.
+   * @param {HTMLElement} el - The model element.
+   * @param {string} path - Bound state path.
+   * @returns {*} - The value to store.
+   */
+  const readModelValue = (el, path) => {
+    if (el.type === 'checkbox') {
+      const current = getAtPath(state, path);
+      if (!Array.isArray(current)) return el.checked;
+      return el.checked ? [...new Set([...current, el.value])] : current.filter(v => v !== el.value);
+    }
+    if (el.tagName === 'SELECT' && el.multiple) return [...el.selectedOptions].map(opt => opt.value);
+
+    const raw = isContentEditable(el) ? el.textContent : el.value;
+    if (schema[path]?.type) return coerce(path, raw);
+    if (['number', 'range'].includes(el.type)) return raw === '' ? null : Number(raw);
+    if (['date', 'month', 'datetime-local'].includes(el.type)) return raw === '' ? null : new Date(raw);
+    return raw;
+  };
+
+  /**
+   * Formats a state value for an input's `value`, converting Dates to the input's format.
+   * @param {HTMLElement} el - The model element.
+   * @param {*} val - State value.
+   * @returns {string}
+   */
+  const toInputValue = (el, val) => {
+    if (val === undefined || val === null) return '';
+    if (!(val instanceof Date)) return String(val);
+    if (Number.isNaN(val.getTime())) return '';
+    if (el.type === 'date') return val.toISOString().slice(0, 10);
+    if (el.type === 'month') return val.toISOString().slice(0, 7);
+    if (el.type === 'datetime-local') {
+      return new Date(val.getTime() - val.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+    return val.toISOString();
+  };
+
+  /**
+   * Writes a state value into a model element using the property matching its type.
+   * A focused element already showing the value is left alone so the cursor doesn't jump
+   * (e.g. while typing "4.0" into a number-coerced field).
+   * @param {HTMLElement} el - The model element.
+   * @param {string} path - Bound state path.
+   * @param {*} val - State value.
+   */
+  const renderModel = (el, path, val) => {
+    if (el.type === 'checkbox') {
+      el.checked = Array.isArray(val) ? val.map(String).includes(el.value) : Boolean(val);
+      return;
+    }
+    if (el.type === 'radio') {
+      el.checked = val !== undefined && val !== null && String(val) === el.value;
+      return;
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+      const selected = (Array.isArray(val) ? val : []).map(String);
+      [...el.options].forEach(opt => (opt.selected = selected.includes(opt.value)));
+      return;
+    }
+
+    const focused = el.ownerDocument.activeElement === el;
+    if (focused && reconcile(val, readModelValue(el, path)) === val) return;
+    const text = toInputValue(el, val);
+    if (isContentEditable(el)) {
+      if (el.textContent !== text) el.textContent = text;
+      return;
+    }
+    if (el.value === text) return;
+    let selection = null;
+    try {
+      if (focused) selection = [el.selectionStart, el.selectionEnd];
+    } catch { }
+    el.value = text;
+    if (selection && selection[0] !== null) {
+      try {
+        el.setSelectionRange(...selection);
+      } catch { }
+    }
+  };
+
+  /**
+   * Wires a `data-model` element for two-way binding. The DOM event defaults to `change`
+   * for checkboxes, radios and selects and `input` otherwise, and can be overridden with
+   * `data-model-event="change|input|blur"`; `data-model-debounce="ms"` delays the update.
+   * Consecutive edits of the same element form one undo entry.
+   * @param {HTMLElement} el - The model element.
+   * @param {Object} [dispatchOptions] - Options passed to `dispatch` (e.g. `skipHistory`).
+   */
+  const bindModel = (el, dispatchOptions) => {
+    const path = el.dataset.model;
+    if (!path) return;
+
+    bindElement(el, path);
+
+    if (el.dataset.modelBound) return;
+    el.dataset.modelBound = 'true';
+
+    const changeTypes = ['checkbox', 'radio', 'file'];
+    const eventType = el.dataset.modelEvent
+      || (el.tagName === 'SELECT' || changeTypes.includes(el.type) ? 'change' : 'input');
+    const delay = Number(el.dataset.modelDebounce) || 0;
+    let timer;
+
+    const commit = () => {
+      // Read the path live: list rows are re-scoped when their index changes
+      const path = el.dataset.model;
+      if (el.type === 'radio' && !el.checked) return;
+      const value = readModelValue(el, path);
+      const prevVal = getAtPath(state, path);
+      if (reconcile(prevVal, value) !== prevVal) {
+        store.dispatch(`set-${path}`, value, { historyGroup: `model:${path}`, ...dispatchOptions });
+      }
+    };
+
+    const onEvent = () => {
+      if (!delay) return commit();
+      clearTimeout(timer);
+      timer = setTimeout(commit, delay);
+    };
+    el.addEventListener(eventType, onEvent);
+    addCleanup(el, () => {
+      clearTimeout(timer);
+      el.removeEventListener(eventType, onEvent);
+      delete el.dataset.modelBound;
+    });
+
+    // `data-sync` persists the path like `syncStorage` while bound, once the stored value is restored
+    if (el.dataset.sync === 'localStorage' && storageDriver && (syncedModels.has(path) || !localKeys.includes(path))) {
+      const first = !syncedModels.has(path);
+      syncedModels.set(path, (syncedModels.get(path) ?? 0) + 1);
+      if (first) {
+        whenResolved(readStorage([path]), (stored) => {
+          if (!syncedModels.has(path)) return;
+          const prevState = { ...state };
+          const changes = commitState(applyStored(stored));
+          if (!localKeys.includes(path)) localKeys.push(path);
+          if (changes.length) notify('persistence-loaded', stored, changes, prevState);
+        });
+      }
+      addCleanup(el, () => {
+        const count = syncedModels.get(path) - 1;
+        if (count) return syncedModels.set(path, count);
+        syncedModels.delete(path);
+        const index = localKeys.indexOf(path);
+        if (index !== -1) localKeys.splice(index, 1);
+      });
+    }
+  };
+
+  /**
+   * Adds a single element to the bindings of a path and renders it.
+   * @param {HTMLElement} el - Element to bind.
+   * @param {string} key - State path or computed name.
+   */
+  const bindElement = (el, key) => {
+    if (!bindings.has(key)) bindings.set(key, new Set());
+    bindings.get(key).add(el);
+    renderBoundValue(el, key);
+  };
+
+  /**
+   * Removes an element from every binding so it is no longer rendered (or retained).
+   * @param {HTMLElement} el - Element to release.
+   */
+  const releaseElement = (el) => {
+    bindings.forEach((elements, key) => {
+      elements.delete(el);
+      if (!elements.size) bindings.delete(key);
+    });
+  };
+
+  /**
+   * Registers a cleanup to run when an element is unbound.
+   * @param {HTMLElement} el - Bound element.
+   * @param {Function} fn - Cleanup function.
+   */
+  const addCleanup = (el, fn) => {
+    if (!elementCleanups.has(el)) elementCleanups.set(el, []);
+    elementCleanups.get(el).push(fn);
+  };
+
+  /**
+   * Fully unbinds elements: runs their cleanups and releases them from all bindings
+   * in a single pass over the binding map.
+   * @param {Iterable<Element>} elements - Elements to unbind.
+   */
+  const unbindElements = (elements) => {
+    const released = new Set(elements);
+    released.forEach(el => {
+      (elementCleanups.get(el) || []).forEach(fn => fn());
+      elementCleanups.delete(el);
+    });
+    bindings.forEach((bound, key) => {
+      bound.forEach(el => released.has(el) && bound.delete(el));
+      if (!bound.size) bindings.delete(key);
+    });
+  };
+
+  /**
+   * Keeps a root bound with a MutationObserver: inserted elements are scanned and
+   * removed ones unbound. Elements hidden by `data-if` (and nodes merely moved) are kept.
+   * @param {Element} root - Root to observe.
+   * @param {Object} [dispatchOptions] - Options passed to `dispatch` by model elements.
+   * @returns {Function} - Disconnects the observer.
+   */
+  const observeBindings = (root, dispatchOptions) => {
+    const observer = new MutationObserver(records => records.forEach(record => {
+      record.removedNodes.forEach(node => {
+        const target = node.nodeType === 8 ? ifTargets.get(node) : node;
+        if (target?.nodeType !== 1 || target.isConnected || ifPlaceholders.get(target)?.isConnected) return;
+        unbindElements(selectBound(target));
+      });
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === 1 && node.isConnected) scanBindings(node, dispatchOptions);
+      });
+    }));
+    observer.observe(root, { childList: true, subtree: true });
+    return trackTeardown(() => observer.disconnect());
+  };
+
+  /**
+   * Registers a teardown for `destroy()` and returns a function that runs it once.
+   * @param {Function} fn - Teardown function.
+   * @returns {Function} - Runs and forgets the teardown.
+   */
+  const trackTeardown = (fn) => {
+    const teardown = () => {
+      if (!teardowns.delete(teardown)) return;
+      fn();
+    };
+    teardowns.add(teardown);
+    return teardown;
+  };
 
-  // Load from localStorage if enabled
-  const localKeys = syncStorage === true ? Object.keys(initialState) : Array.isArray(syncStorage) ? syncStorage : [];
-  const state = structuredClone(initialState);
+  /**
+   * Selects matching elements inside a root, including the root itself.
+   * @param {Document|Element} root - Root to search.
+   * @param {string} selector - CSS selector.
+   * @returns {Element[]}
+   */
+  const selectAll = (root, selector) => [
+    ...(root.matches?.(selector) ? [root] : []),
+    ...root.querySelectorAll(selector)
+  ];
 
   /**
-  * Safely retrieves a nested property from an object using dot notation.
-  * @param {object} obj - The object to traverse.
-  * @param {string} path - Dot-separated key path.
-  * @returns {*} - The nested value or undefined.
-  */
-  const getAtPath = (obj, path) => path.split('.').reduce((o, k) => (o || {})[k], obj);
+   * Lists every element inside a root (or shadow root), including the root itself and the
+   * contents of open shadow roots below it, so bindings reach into web components.
+   * @param {Document|Element|ShadowRoot} root - Root to search.
+   * @returns {Element[]}
+   */
+  const selectDeep = (root) => selectAll(root, '*')
+    .flatMap(el => (el.shadowRoot ? [el, ...selectDeep(el.shadowRoot)] : [el]));
+
   /**
-   * Sets a nested property on an object, creating missing structure as needed.
-   * @param {object} obj - The target object.
-   * @param {string} path - Dot-separated key path.
-   * @param {*} val - Value to set.
+   * Lists the elements to release with a root: those of `selectDeep`, plus the elements
+   * `data-if` currently hides whose placeholder is inside the root (and their contents).
+   * @param {Document|Element|ShadowRoot} root - Root being released.
+   * @returns {Element[]}
    */
-  const setAtPath = (obj, path, val) => {
-    const keys = path.split('.');
-    const last = keys.pop();
-    const target = keys.reduce((o, k) => (o[k] ??= {}), obj);
-    target[last] = val;
+  const selectBound = (root) => {
+    const elements = selectDeep(root);
+    const parents = [
+      ...(root.nodeType === 1 ? [] : [root]),
+      ...elements,
+      ...elements.filter(el => el.shadowRoot).map(el => el.shadowRoot)
+    ];
+    parents.forEach(parent => parent.childNodes.forEach(node => {
+      if (node.nodeType === 8 && ifTargets.has(node)) elements.push(...selectBound(ifTargets.get(node)));
+    }));
+    return elements;
   };
 
-  for (const path of localKeys) {
-    const stored = storageDriver.getItem(path);
-    if (stored !== null) {
-      try {
-        setAtPath(state, path, storageDecrypt(stored));
-      } catch {
-        setAtPath(state, path, stored); // fallback
+  /**
+   * Matches attribute directives whose value is a state path, besides `data-bind`,
+   * `data-model` and `data-each`: `data-bind-attr:<name>`, `data-bind-class:<name>`,
+   * `data-bind-style:<property>`, `data-bind-html`, `data-show` and `data-if`.
+   */
+  const directivePattern = /^data-(?:bind-(attr|class|style):(.+)|(bind-html|show|if))$/;
+
+  /**
+   * Checks whether an attribute holds a state path (and is therefore scoped inside lists).
+   * @param {string} name - Attribute name.
+   * @returns {boolean}
+   */
+  const isPathAttribute = (name) => ['data-bind', 'data-model', 'data-each'].includes(name) || directivePattern.test(name);
+
+  /**
+   * Parses an element's attribute directives. A leading `!` in the value negates it.
+   * @param {HTMLElement} el - Element to inspect.
+   * @returns {{kind: string, arg: string|undefined, key: string, negate: boolean}[]}
+   */
+  const readDirectives = (el) => [...el.attributes].flatMap(({ name, value }) => {
+    const match = name.match(directivePattern);
+    if (!match || !value) return [];
+    const negate = value.startsWith('!');
+    const kind = match[1] || match[3].replace('bind-', '');
+    return [{ kind, arg: match[2], key: negate ? value.slice(1) : value, negate }];
+  });
+
+  /**
+   * Renders one attribute directive.
+   * @param {HTMLElement} el - The element.
+   * @param {Object} directive - Parsed directive from `readDirectives`.
+   */
+  const renderDirective = (el, { kind, arg, key, negate }) => {
+    let val = store.get(key);
+    if (negate) val = !val;
+
+    if (kind === 'attr') {
+      if (val === undefined || val === null || val === false) el.removeAttribute(arg);
+      else el.setAttribute(arg, val === true ? '' : String(val));
+    } else if (kind === 'class') {
+      el.classList.toggle(arg, Boolean(val));
+    } else if (kind === 'style') {
+      if (val === undefined || val === null || val === false) el.style.removeProperty(arg);
+      else el.style.setProperty(arg, String(val));
+    } else if (kind === 'show') {
+      el.style.display = val ? '' : 'none';
+    } else if (kind === 'if') {
+      if (!ifPlaceholders.has(el)) {
+        ifPlaceholders.set(el, el.ownerDocument.createComment(` if ${key} `));
+        ifTargets.set(ifPlaceholders.get(el), el);
+      }
+      const placeholder = ifPlaceholders.get(el);
+      // Rescoped list rows change the path the placeholder names
+      placeholder.data = ` if ${key} `;
+      if (val && placeholder.parentNode) placeholder.replaceWith(el);
+      else if (!val && el.parentNode) el.replaceWith(placeholder);
+    } else if (kind === 'html') {
+      const html = String(val ?? '');
+      if (typeof sanitizeHtml === 'function') {
+        el.innerHTML = sanitizeHtml(html);
+      } else {
+        console.warn('data-bind-html needs a `sanitizeHtml` option; rendering as text');
+        el.textContent = html;
       }
     }
-  }
+  };
 
   /**
-  * Subscribers for all store events. Functions here receive { type, payload }.
-  */
-  const listeners = new Set();
+   * Wires `data-on:<event>="action-type"` attributes: the event dispatches the action with
+   * the element's own (non-directive) `data-*` values as payload.
+   * @param {HTMLElement} el - The element.
+   */
+  const bindEvents = (el) => {
+    if (!boundEvents.has(el)) boundEvents.set(el, new Set());
+    const bound = boundEvents.get(el);
+    [...el.attributes].forEach(({ name }) => {
+      if (!name.startsWith('data-on:')) return;
+      const eventType = name.slice('data-on:'.length);
+      if (bound.has(eventType)) return;
+      bound.add(eventType);
+      const onEvent = (event) => {
+        if (eventType === 'submit') event.preventDefault();
+        const type = el.getAttribute(name);
+        if (!type) return;
+        const payload = Object.fromEntries(Object.entries(el.dataset)
+          .filter(([k]) => !/^(on:|bind|model|each$|key$|show$|if$|sync$)/.test(k)));
+        store.dispatch(type, payload);
+      };
+      el.addEventListener(eventType, onEvent);
+      addCleanup(el, () => {
+        el.removeEventListener(eventType, onEvent);
+        bound.delete(eventType);
+      });
+    });
+  };
+
   /**
-  * Registered computed properties, evaluated on demand.
-  */
-  const computedFns = new Map();
+   * Binds every directive on a single element.
+   * @param {HTMLElement} el - The element.
+   * @param {Object} [dispatchOptions] - Options passed to `dispatch` by model elements.
+   */
+  const bindDirectives = (el, dispatchOptions) => {
+    if (el.dataset.model) bindModel(el, dispatchOptions);
+    if (el.dataset.bind) bindElement(el, el.dataset.bind);
+    if (el.dataset.each) {
+      if (!lists.has(el)) {
+        const template = el.querySelector(':scope > template');
+        lists.set(el, { rows: template ? adoptRows(el, template, el.dataset.each) : new Map(), dispatchOptions });
+      }
+      bindElement(el, el.dataset.each);
+    }
+    readDirectives(el).forEach(({ key }) => bindElement(el, key));
+    bindEvents(el);
+  };
+
   /**
-  * DOM element bindings keyed by state key, used for reactive rendering.
-  */
-  const bindings = new Map();
+   * Binds every directive on every element inside a container, including open shadow roots.
+   * @param {Document|Element} container - Root to scan.
+   * @param {Object} [dispatchOptions] - Options passed to `dispatch` by model elements.
+   */
+  const scanBindings = (container, dispatchOptions) => {
+    selectDeep(container).forEach(el => bindDirectives(el, dispatchOptions));
+  };
+
   /**
-  * Global watchers invoked on every dispatch with (nextState, prevState).
-  */
-  const watchAllFns = new Set();
+   * Resolves a path written inside a list row against the row's item path.
+   * A leading `!` is kept, `$item` is the item itself, `$root.` escapes to an absolute path and other `$` paths
+   * (`$effects`, `$errors`, `$history`) are global.
+   * @param {string} rel - Path as written in the template.
+   * @param {string} prefix - Dot path of the item (e.g. `todos.3`).
+   * @returns {string} - Absolute path.
+   */
+  const scopePath = (rel, prefix) => {
+    if (rel.startsWith('!')) return `!${scopePath(rel.slice(1), prefix)}`;
+    if (rel === '$item') return prefix;
+    if (rel.startsWith('$root.')) return rel.slice('$root.'.length);
+    if (rel.startsWith('$')) return rel;
+    return `${prefix}.${rel}`;
+  };
 
   /**
-  * Triggers all relevant listeners and watchers for a given state change.
-  * @param {string} type - The action/event type.
-  * @param {*} payload - The associated payload.
-  */
-  const notify = (type, payload) => {
-    const prevState = structuredClone(state);
-    listeners.forEach(fn => fn({ type, payload }));
-    watchAllFns.forEach(fn => fn(state, prevState));
-    if (typeof window.__storeDebugUpdate === 'function') window.__storeDebugUpdate();
+   * Points every directive in a row at the given item path, rebinding the elements whose
+   * path changed. Rows are re-scoped when their item moves to another index.
+   * @param {Object} row - List row.
+   * @param {string} prefix - Dot path of the item.
+   * @param {Object} [dispatchOptions] - Options passed to `dispatch` by model elements.
+   */
+  const scopeRow = (row, prefix, dispatchOptions) => {
+    row.prefix = prefix;
+    const changed = new Set();
+    row.scoped.forEach(({ el, name, rel }) => {
+      const path = scopePath(rel, prefix);
+      if (el.getAttribute(name) === path) return;
+      el.setAttribute(name, path);
+      changed.add(el);
+    });
+    if (!row.bound) return;
+    changed.forEach(el => {
+      releaseElement(el);
+      bindDirectives(el, dispatchOptions);
+    });
   };
 
-  const store = {
-    __syncKeys: localKeys,
-    /**
-     * Returns a deep copy of the current store state.
-     * @returns {Object} - The current state snapshot.
-     */
-    getState: () => structuredClone(state),
+  /**
+   * Creates a row from a list's `<template>`, remembering which directives it contains.
+   * The row is bound once it has been inserted into the document.
+   * @param {HTMLTemplateElement} template - The list template.
+   * @param {string} prefix - Dot path of the item.
+   * @returns {Object} - The row `{ nodes, scoped, prefix, bound }`.
+   */
+  const createRow = (template, prefix) => makeRow([...template.content.cloneNode(true).childNodes], prefix);
 
-    /**
-     * Modifies the state or triggers a custom event.
-     * Supports 'set-key' for mutation and emits changes to listeners.
-     * @param {string} type - The action type (e.g. 'set-theme').
-     * @param {*} payload - The new value or event data.
-     */
-    dispatch: (type, payload) => {
-      if (typeof type === 'string') {
-        const [verb, key] = type.split('-');
-        if (verb === 'set' && key && key.length) {
-          state[key] = payload;
-          updateBindings(key);
-
-          for (const path of store.__syncKeys) {
-            const base = path.split('.')[0];
-            if (key === base || key === path) {
-              try {
-                const val = getAtPath(state, path);
-                storageDriver.setItem(path, storageEncrypt(val));
-              } catch {
-                // optional: log or ignore silently
-              }
-            }
-          }
+  /**
+   * Turns nodes into a list row, remembering which directives they contain
+   * (written relative to the item, as in the template).
+   * @param {Node[]} nodes - The row's top-level nodes.
+   * @param {string} prefix - Dot path of the item.
+   * @returns {Object} - The row `{ nodes, scoped, prefix, bound }`.
+   */
+  const makeRow = (nodes, prefix) => {
+    const scoped = [];
+    nodes.filter(node => node.nodeType === 1).forEach(node => {
+      selectAll(node, '*').forEach(el => [...el.attributes].forEach(({ name, value }) => {
+        if (value && isPathAttribute(name)) scoped.push({ el, name, rel: value });
+      }));
+    });
+    const row = { nodes, scoped, prefix: null, bound: false };
+    scopeRow(row, prefix);
+    return row;
+  };
+
+  /**
+   * Returns the key identifying an item's row: its `data-key` field, or its index.
+   * Duplicate keys fall back to being suffixed with the index.
+   * @param {*} item - The list item.
+   * @param {number} index - Index of the item.
+   * @param {string} [keyField] - Item field named in `data-key`.
+   * @param {Map} taken - Rows keyed so far.
+   * @returns {string}
+   */
+  const rowKeyOf = (item, index, keyField, taken) => {
+    const rowKey = keyField ? String(getAtPath(item, keyField)) : String(index);
+    return taken.has(rowKey) ? `${rowKey}#${index}` : rowKey;
+  };
+
+  /**
+   * Adopts the rows a server rendered after a list's `<template>`, so a hydrated page is
+   * bound in place instead of re-rendered. Each element (with the whitespace before it) becomes
+   * the row of the item at its index; elements beyond the items are dropped. Only stores created
+   * with `hydrate` and templates with a single root element adopt rows.
+   * @param {HTMLElement} el - The list container.
+   * @param {HTMLTemplateElement} template - The list template.
+   * @param {string} key - Array path.
+   * @returns {Map<string, Object>} - Adopted rows by row key.
+   */
+  const adoptRows = (el, template, key) => {
+    const rows = new Map();
+    if (!hydrated || template.content.children.length !== 1) return rows;
+    const items = store.get(key);
+    let nodes = [];
+    let index = 0;
+    [...el.childNodes].slice([...el.childNodes].indexOf(template) + 1).forEach(node => {
+      if (node.nodeType !== 1) {
+        nodes.push(node);
+        return;
+      }
+      nodes.push(node);
+      if (Array.isArray(items) && index < items.length) {
+        rows.set(rowKeyOf(items[index], index, el.dataset.key, rows), makeRow(nodes, `${key}.${index}`));
+      } else {
+        nodes.forEach(extra => extra.remove());
+      }
+      nodes = [];
+      index += 1;
+    });
+    return rows;
+  };
+
+  /**
+   * Removes a row's nodes and releases all bindings inside them, including nested lists.
+   * @param {Object} row - List row.
+   */
+  const removeRow = (row) => {
+    row.nodes.forEach(node => {
+      if (node.nodeType === 1) unbindElements(selectBound(node));
+      node.remove();
+      ifPlaceholders.get(node)?.remove();
+    });
+  };
+
+  /**
+   * Renders a `data-each` list with keyed reconciliation. Rows are matched by the item
+   * field named in `data-key` (or by index), so unchanged rows are kept as they are,
+   * moved rows are re-scoped, and only new rows are created.
+   * @param {HTMLElement} el - The list container.
+   * @param {string} key - Array path.
+   */
+  const renderList = (el, key) => {
+    const template = el.querySelector(':scope > template');
+    if (!template) return;
+    if (!lists.has(el)) lists.set(el, { rows: adoptRows(el, template, key), dispatchOptions: undefined });
+    const list = lists.get(el);
+    const items = store.get(key);
+    const keyField = el.dataset.key;
+    const nextRows = new Map();
+
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      const rowKey = rowKeyOf(item, index, keyField, nextRows);
+      const prefix = `${key}.${index}`;
+      let row = list.rows.get(rowKey);
+      if (!row) row = createRow(template, prefix);
+      else if (row.prefix !== prefix) scopeRow(row, prefix, list.dispatchOptions);
+      nextRows.set(rowKey, row);
+    });
+
+    list.rows.forEach((row, rowKey) => {
+      if (nextRows.get(rowKey) !== row) removeRow(row);
+    });
+
+    let ref = template.nextSibling;
+    nextRows.forEach(row => row.nodes.forEach(node => {
+      // Nodes hidden by `data-if` are moved through their placeholder
+      const placed = !node.parentNode && ifPlaceholders.get(node) || node;
+      if (placed === ref) ref = ref.nextSibling;
+      else el.insertBefore(placed, ref);
+    }));
+    list.rows = nextRows;
+
+    nextRows.forEach(row => {
+      if (row.bound) return;
+      row.bound = true;
+      row.nodes.filter(node => node.nodeType === 1).forEach(node => scanBindings(node, list.dispatchOptions));
+    });
+  };
+
+  /**
+   * Renders a single DOM element based on store value and format. Attribute directives for
+   * the key are applied, lists are reconciled, model elements get their value/checked/selected
+   * state and `data-bind` elements get formatted textContent.
+   * Supports chained formatters (`data-format="trim|uppercase"`), locale/currency/option
+   * attributes for the Intl-based ones, and prefix/suffix.
+   * @param {HTMLElement} el - The element to update.
+   * @param {string} key - Store path to render.
+   */
+  const renderBoundValue = (el, key) => {
+    const directives = readDirectives(el).filter(directive => directive.key === key);
+    directives.forEach(directive => renderDirective(el, directive));
+    if (el.dataset.each === key) {
+      renderList(el, key);
+      return;
+    }
+    if (el.dataset.model === key && isModelElement(el)) {
+      renderModel(el, key, store.get(key));
+      return;
+    }
+    if (directives.length && el.dataset.bind !== key) return;
+
+    let val = store.get(key) ?? '';
+
+    if (el.dataset.format && val !== '') {
+      const context = {
+        el,
+        locale: el.closest('[data-locale]')?.dataset.locale || store.get(localeKey) || undefined,
+        currency: el.dataset.currency,
+        options: readFormatOptions(el)
+      };
+      // A value the formatter cannot handle (an invalid date, an unknown currency) renders
+      // unformatted: rendering runs after the state is committed and must not abort the update
+      const raw = val;
+      try {
+        for (const name of el.dataset.format.split('|').map(part => part.trim())) {
+          const format = formatters.get(name);
+          if (format) val = format(val, context);
+        }
+      } catch (error) {
+        val = raw;
+        if (!failedFormats.has(el.dataset.format)) {
+          failedFormats.add(el.dataset.format);
+          console.warn(`data-format="${el.dataset.format}" failed for "${key}"; rendering the raw value`, error);
         }
       }
+    }
 
-      notify(type, payload);
-    },
+    const prefix = el.dataset.prefix || '';
+    const suffix = el.dataset.suffix || '';
 
-    /**
-     * Registers a listener for all dispatches.
-     * @param {Function} fn - Function receiving { type, payload }.
-     * @returns {Function} - Unsubscribe function.
-     */
-    subscribe: (fn) => {
-      listeners.add(fn);
-      return () => listeners.delete(fn);
-    },
+    const text = `${prefix}${val}${suffix}`;
+    if (el.textContent !== text) el.textContent = text;
+  };
+
+  /**
+   * Updates all bound elements whose path overlaps any changed path,
+   * so `set-user.name` re-renders `user.name` as well as `user` bindings.
+   * A change of the locale key re-renders every formatted element.
+   * @param {...string} paths - Store paths whose bound DOM elements should update.
+   */
+  const updateBindings = (...paths) => {
+    const localeChanged = paths.some(path => pathsOverlap(path, localeKey));
+    bindings.forEach((elements, key) => {
+      if (localeChanged) {
+        elements.forEach(el => el.dataset.format && renderBoundValue(el, key));
+      }
+      const affected = computedFns.has(key)
+        ? computedDependsOn(key, paths)
+        : paths.some(path => pathsOverlap(key, path));
+      if (affected) elements.forEach(el => renderBoundValue(el, key));
+    });
+  };
+
+  /**
+   * Registers a module's actions and effects as `<name>/<type>` and its computed values
+   * as `<name>.<key>`, each receiving the module's state instead of the root state.
+   * @param {string} key - Module name.
+   * @param {Object} module - Module definition.
+   * @param {string[]} paths - Synced paths of the module.
+   */
+  const mountModule = (key, { actions = {}, effects = {}, computed = {} }, paths) => {
+    const cleanups = [
+      ...Object.entries(actions).map(([type, fn]) => store.action(`${key}/${type}`, (draft, payload) => {
+        const result = fn(draft[key], payload);
+        if (result !== undefined) draft[key] = result;
+      })),
+      ...Object.entries(effects).map(([type, fn]) => {
+        const effectType = `${key}/${type}`;
+        const removeEffect = store.effect(effectType, fn);
+        return () => {
+          removeEffect();
+          delete effectState[effectType];
+          touchPaths(`$effects.${effectType}`);
+        };
+      }),
+      ...Object.entries(computed).map(([name, fn]) => {
+        const computedKey = `${key}.${name}`;
+        store.computed(computedKey, (root, get) => fn(root[key], get));
+        return () => {
+          computedFns.delete(computedKey);
+          updateBindings(computedKey);
+        };
+      })
+    ];
+    registeredModules.set(key, { paths, cleanups });
+  };
+
+  Object.entries(modules).forEach(([key, module]) => mountModule(key, module, modulePersistPaths(key, module)));
+
+  /**
+   * Adds a module to a running store, e.g. when a code-split route loads. Its state is placed
+   * under `state.<name>` (unless already there, e.g. hydrated), persisted paths are restored
+   * from storage, and everything else works as for modules passed to `createStore({ modules })`:
+   * - `actions` `{ type: (moduleState, payload) => nextModuleState }` are dispatched as
+   *   `<name>/<type>` and may mutate the copy they receive instead of returning
+   * - `effects` `{ type: fn }` are started by `<name>/<type>` (see `effect`)
+   * - `computed` `{ key: (moduleState, get) => value }` are read, watched and bound as `<name>.<key>`
+   * - `<name>/<verb>-<path>` dispatches the path-aware verbs inside the module (`cart/push-items`)
+   * - `persist`: `true` to persist the module's state, or paths relative to it
+   * Watchers and bindings use plain dot paths (`cart.items`). Emits `module-registered`; with an
+   * asynchronous storage driver the stored values arrive later as `persistence-loaded`; await
+   * the returned function's `ready` before dispatching to persisted paths, as for `store.ready`.
+   * @param {string} key - Module name.
+   * @param {Object} module - Module definition `{ initialState, actions, effects, computed, persist }`.
+   * @returns {Function} - Unregisters the module; its `ready` promise resolves once the
+   *   persisted values have been restored.
+   * @throws {Error} - When a module of that name is already registered.
+   */
+  store.registerModule = (key, module) => {
+    if (registeredModules.has(key)) throw new Error(`Module "${key}" is already registered`);
+    const paths = modulePersistPaths(key, module);
+    initialState[key] = module.initialState ?? {};
+    mountModule(key, module, paths);
+    const entry = registeredModules.get(key);
+    const prevState = { ...state };
+    const changes = commitState({ ...state, [key]: state[key] ?? structuredClone(initialState[key]) });
+    const stored = storageDriver && paths.length ? readStorage(paths) : {};
+    const load = (values) => {
+      localKeys.push(...paths.filter(path => !localKeys.includes(path)));
+      return commitState(applyStored(values));
+    };
+    if (!isThenable(stored)) changes.push(...load(stored));
+    notify('module-registered', { name: key }, changes, prevState);
+    const unregister = () => {
+      if (registeredModules.get(key) === entry) store.unregisterModule(key);
+    };
+    unregister.ready = Promise.resolve(isThenable(stored) && stored.then((values) => {
+      if (registeredModules.get(key) !== entry) return;
+      const prevLoaded = { ...state };
+      const loaded = load(values);
+      if (loaded.length) notify('persistence-loaded', values, loaded, prevLoaded);
+    })).then(() => undefined);
+    return unregister;
+  };
+
+  /**
+   * Removes a module: its actions, effects (aborting their runs), computed values and state.
+   * Its persisted values stay in storage and are restored if it is registered again.
+   * Emits `module-unregistered`.
+   * @param {string} key - Module name.
+   */
+  store.unregisterModule = (key) => {
+    const entry = registeredModules.get(key);
+    if (!entry) return;
+    // Write pending changes first: once the state is gone, a write would remove the stored values
+    if (entry.paths.some(path => pendingWrites.has(path))) flushWrites();
+    registeredModules.delete(key);
+    entry.cleanups.forEach(fn => fn());
+    entry.paths.forEach(path => {
+      const index = localKeys.indexOf(path);
+      if (index !== -1) localKeys.splice(index, 1);
+    });
+    delete initialState[key];
+    const prevState = { ...state };
+    const { [key]: _, ...rest } = state;
+    const changes = commitState(rest);
+    notify('module-unregistered', { name: key }, changes, prevState);
+  };
+
+  /**
+   * Lists the registered module names.
+   * @returns {string[]}
+   */
+  store.modules = () => [...registeredModules.keys()];
+
+  /**
+   * Exposes the store globally as `window.{name}Store` and logs via `{name}State()`.
+   */
+  if (name && typeof window !== 'undefined') {
+    const logState = () => console.log(`🧠 ${name}Store snapshot`, store.getState());
+    window[`${name}Store`] = store;
+    window[`${name}State`] = logState;
+    trackTeardown(() => {
+      if (window[`${name}Store`] === store) delete window[`${name}Store`];
+      if (window[`${name}State`] === logState) delete window[`${name}State`];
+    });
+  }
+
+  /**
+   * Resolves once persisted state has been loaded. With a synchronous driver (the default
+   * `localStorage`) it is already loaded when `createStore` returns; asynchronous drivers apply
+   * the stored values when they arrive, as a `persistence-loaded` update.
+   * @type {Promise<void>}
+   */
+  store.ready = Promise.resolve(isThenable(storedState) && storedState.then(stored => {
+    const prevState = { ...state };
+    const changes = commitState(applyStored(stored));
+    if (changes.length) notify('persistence-loaded', stored, changes, prevState);
+  })).then(() => {
+    storageLoaded = true;
+    scheduleWrites();
+  });
+
+  /**
+   * Writes pending storage changes immediately, skipping any debounce or throttle wait.
+   * @returns {Promise<void>} - Settles once the writes have finished.
+   */
+  store.flush = () => (storageLoaded ? flushWrites() : store.ready.then(flushWrites));
+
+  if (storageDriver && (storageDebounce || storageThrottle) && typeof globalThis.addEventListener === 'function') {
+    const onPageHide = () => flushWrites();
+    globalThis.addEventListener('pagehide', onPageHide);
+    trackTeardown(() => globalThis.removeEventListener('pagehide', onPageHide));
+  }
+  trackTeardown(() => pendingWrites.size && flushWrites());
+
+  if (crossTab) {
+    const crossTabOptions = Array.isArray(crossTab) || crossTab === true ? { paths: crossTab } : crossTab;
+    const { channel = `${name || 'store'}-sync`, strategy = 'last-write-wins' } = crossTabOptions;
+    const paths = Array.isArray(crossTabOptions.paths) ? crossTabOptions.paths
+      : localKeys.length ? localKeys : Object.keys(initialState);
+    const tabId = Math.random().toString(36).slice(2);
+    const writeTimes = new Map();
+    let receiving = false;
+    let transport = null;
 
     /**
-     * Watches a single top-level key for changes (shallow or deep).
-     * @param {string} key - State key to observe.
-     * @param {Function} fn - Callback with the new value.
+     * Sends the local value of a path to the other tabs.
+     * @param {string} path - Synced path.
+     * @param {*} value - Its value.
      */
-    watch: (key, fn) => {
-      let prev = structuredClone(state[key]);
-      return store.subscribe(() => {
-        const next = state[key];
-        const changed = typeof next === 'object' && next !== null
-          ? JSON.stringify(next) !== JSON.stringify(prev)
-          : next !== prev;
-        if (changed) {
-          prev = structuredClone(next);
-          fn(next);
-        }
-      });
-    },
+    const broadcast = (path, value) => {
+      const time = Math.max(Date.now(), (writeTimes.get(path) ?? 0) + 1);
+      writeTimes.set(path, time);
+      try {
+        transport.send({ tab: tabId, path, value, time });
+      } catch (error) {
+        console.warn(`Could not broadcast "${path}"`, error);
+      }
+    };
 
     /**
-     * Watches all state changes and receives full state snapshots.
-     * @param {Function} fn - Callback with (nextState, prevState).
+     * Decides whether an incoming change replaces the local value. With `last-write-wins`
+     * the newer change wins (ties go to the higher tab id), with `remote-wins` every incoming
+     * change applies, and a function strategy returns the value to keep.
+     * @param {Object} message - Incoming `{ tab, path, value, time }`.
+     * @returns {{apply: boolean, value: *}}
      */
-    watchAll: (fn) => {
-      watchAllFns.add(fn);
-      return () => watchAllFns.delete(fn);
-    },
+    const resolveConflict = (message) => {
+      const { path, value, time, tab } = message;
+      const localTime = writeTimes.get(path) ?? 0;
+      if (typeof strategy === 'function') {
+        const resolved = strategy(store.get(path), value, { path, localTime, remoteTime: time });
+        return { apply: true, value: resolved };
+      }
+      if (strategy === 'last-write-wins' && (localTime > time || (localTime === time && tabId > tab))) {
+        return { apply: false, value };
+      }
+      return { apply: true, value };
+    };
 
     /**
-     * Responds only to specific action types.
-     * @param {string} type - The action type to listen for.
-     * @param {Function} fn - Callback receiving the payload.
+     * Applies a change from another tab through `dispatch`, so bindings and watchers fire.
+     * It is not re-broadcast (like `linkTwoWay`'s lock) and not added to undo history.
+     * If a strategy function settles on a different value, that value is broadcast instead.
+     * @param {Object} message - Incoming `{ tab, path, value, time }`.
      */
-    when: (type, fn) => {
-      return store.subscribe(({ type: t, payload }) => {
-        if (t === type) fn(payload);
+    const receive = (message) => {
+      if (!message || message.tab === tabId || !paths.includes(message.path)) return;
+      const { apply, value } = resolveConflict(message);
+      if (!apply) return;
+      writeTimes.set(message.path, message.time);
+      receiving = true;
+      try {
+        if (value === undefined) store.dispatch(`delete-${message.path}`, undefined, { skipHistory: true });
+        else store.dispatch(`set-${message.path}`, value, { skipHistory: true });
+      } finally {
+        receiving = false;
+      }
+      if (!Object.is(value, message.value)) broadcast(message.path, value);
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+      const bc = new BroadcastChannel(channel);
+      bc.onmessage = (e) => receive(e.data);
+      transport = {
+        send: (message) => bc.postMessage(message),
+        close: () => bc.close()
+      };
+    } else if (typeof globalThis.addEventListener === 'function' && globalThis.localStorage) {
+      // Fallback: a write to localStorage fires `storage` in every other tab of the origin
+      const onStorage = (e) => {
+        if (e.key !== channel || !e.newValue) return;
+        try {
+          receive(JSON.parse(e.newValue));
+        } catch { }
+      };
+      globalThis.addEventListener('storage', onStorage);
+      transport = {
+        send: (message) => {
+          localStorage.setItem(channel, JSON.stringify(message));
+          localStorage.removeItem(channel);
+        },
+        close: () => globalThis.removeEventListener('storage', onStorage)
+      };
+    }
+
+    if (transport) {
+      const unwatch = paths.map(path => store.watchPath(path, (value) => {
+        if (!receiving) broadcast(path, value);
+      }));
+      trackTeardown(() => {
+        unwatch.forEach(off => off());
+        transport.close();
       });
-    },
+    }
+  }
 
-    /**
-     * Responds once to a specific action type, then unsubscribes.
-     * @param {string} type - The action type.
-     * @param {Function} fn - Callback function.
-     */
-    once: (type, fn) => {
-      const off = store.when(type, (payload) => {
-        fn(payload);
-        off();
+  /**
+   * Mirrors this store (or selected paths) with a store on the other end of a transport,
+   * exchanging path-level patches. On every (re)connect the client sends `hello` and the host
+   * answers with a snapshot of the synced paths (the client applies the first one it gets);
+   * client changes made while disconnected are
+   * sent after the snapshot and win over it. Incoming patches are applied with `set-`/`delete-`
+   * dispatches (not re-sent, not added to undo history). Patches outside `accept` are rejected
+   * with a `sync-rejected` event and answered with the current value, so the other side reverts.
+   * @param {Object} transport - `{ send(message), connect({ onMessage, onOpen, onClose }) => disconnect }`.
+   * @param {Object} [options]
+   * @param {'host'|'client'} [options.role='client'] - The host's state wins on connect.
+   * @param {string[]} [options.paths] - Paths to mirror; the whole state by default.
+   * @param {string[]} [options.accept] - Paths the other side may write; defaults to `paths`.
+   * @param {string} [options.channel='store'] - Tag separating several syncs over one connection.
+   * @returns {Function} - Disconnects.
+   */
+  store.sync = (transport, { role = 'client', paths, accept = paths, channel = 'store' } = {}) => {
+    const within = (path, scope) => !scope || scope.some(p => path === p || path.startsWith(`${p}.`));
+    const queued = new Set();
+    let connected = false;
+    let receiving = false;
+
+    const send = (message) => {
+      try {
+        transport.send({ channel, ...message });
+      } catch (error) {
+        console.warn('Could not send sync message', error);
+      }
+    };
+    const patchOf = (opPaths) => opPaths.map(path => {
+      const value = store.get(path);
+      return value === undefined ? { path, delete: true } : { path, value };
+    });
+    const sendSnapshot = () => {
+      const values = {};
+      (paths || Object.keys(state)).forEach(path => {
+        values[path] = store.get(path);
       });
-    },
+      send({ kind: 'snapshot', values });
+    };
 
     /**
-     * Shortcut to dispatch a named event.
-     * @param {string} type - Event type.
-     * @param {*} payload - Event data.
+     * Applies incoming values without echoing them back.
+     * @param {Object[]} ops - `{ path, value }` or `{ path, delete: true }` entries.
      */
-    emit: (type, payload) => store.dispatch(type, payload),
+    const applyOps = (ops) => {
+      receiving = true;
+      try {
+        ops.forEach(({ path, value, delete: remove }) => {
+          if (remove) store.dispatch(`delete-${path}`, undefined, { skipHistory: true });
+          else store.dispatch(`set-${path}`, value, { skipHistory: true });
+        });
+      } finally {
+        receiving = false;
+      }
+    };
 
-    /**
-     * Defines a computed property that derives from state.
-     * @param {string} key - Name of the computed property.
-     * @param {Function} fn - Function that computes a value from state.
-     */
-    computed: (key, fn) => {
-      computedFns.set(key, fn);
-    },
+    const flushQueued = () => {
+      if (!queued.size) return;
+      send({ kind: 'patch', ops: patchOf([...queued]) });
+      queued.clear();
+    };
 
-    /**
-     * Gets a state value or computed value if defined.
-     * @param {string} key - The key or computed name.
-     * @returns {*} - The value.
-     */
-    get: (key) => {
-      if (computedFns.has(key)) {
-        return computedFns.get(key)(state);
+    const onChange = (changes) => {
+      if (receiving) return;
+      const opPaths = new Set();
+      changes.filter(path => path && !path.startsWith('$')).forEach(path => {
+        if (!paths) opPaths.add(path);
+        else paths.forEach(p => {
+          if (within(path, [p])) opPaths.add(path);
+          else if (within(p, [path])) opPaths.add(p);
+        });
+      });
+      const minimal = [...opPaths].filter(path => ![...opPaths].some(other => other !== path && within(path, [other])));
+      if (!minimal.length) return;
+      if (connected) send({ kind: 'patch', ops: patchOf(minimal) });
+      else if (role === 'client') minimal.forEach(path => queued.add(path));
+    };
+
+    const onMessage = (message) => {
+      if (!message || message.channel !== channel) return;
+      if (message.kind === 'hello' && role === 'host') {
+        sendSnapshot();
+      } else if (message.kind === 'snapshot' && role === 'client' && !connected) {
+        // Take the host's snapshot, then put back the edits made while offline and send them
+        const local = patchOf([...queued]);
+        applyOps(Object.entries(message.values)
+          .filter(([path]) => within(path, paths))
+          .map(([path, value]) => (value === undefined ? { path, delete: true } : { path, value })));
+        applyOps(local);
+        connected = true;
+        flushQueued();
+        notify('sync-connected', { channel, role });
+      } else if (message.kind === 'patch') {
+        const rejected = message.ops.filter(op => !within(op.path, paths) || !within(op.path, accept));
+        applyOps(message.ops.filter(op => !rejected.includes(op)));
+        if (rejected.length) {
+          notify('sync-rejected', { channel, paths: rejected.map(op => op.path) });
+          send({ kind: 'patch', ops: patchOf(rejected.map(op => op.path).filter(path => within(path, paths))) });
+        }
       }
-      return state[key];
-    },
+    };
+
+    const onOpen = () => {
+      if (role === 'host') {
+        connected = true;
+        sendSnapshot();
+        notify('sync-connected', { channel, role });
+      } else {
+        send({ kind: 'hello' });
+      }
+    };
+
+    const onClose = () => {
+      if (!connected) return;
+      connected = false;
+      notify('sync-disconnected', { channel, role });
+    };
+
+    changeHooks.add(onChange);
+    const disconnect = transport.connect({ onMessage, onOpen, onClose });
+    return trackTeardown(() => {
+      changeHooks.delete(onChange);
+      if (typeof disconnect === 'function') disconnect();
+    });
+  };
+
+  /**
+   * Defines a custom element connected to this store. On `connectedCallback` it renders its
+   * template (into an open shadow root by default) and binds it; on `disconnectedCallback` the
+   * bindings are released. With `scope`, paths in the template are relative to a store path
+   * holding the element's local state (`$root.` escapes to absolute paths, `$item` is the scope
+   * itself), initialized from `state` where missing. `attributes` maps observed attributes to
+   * (scoped) state paths, written without history as they change (`null` once removed).
+   * `connected(el, { root, path, get, dispatch })` runs after binding, with `get` and
+   * `dispatch` resolving paths (and `<verb>-<path>` types) against the scope; whatever
+   * function it returns runs on disconnect.
+   * Does nothing without a DOM or custom element support.
+   * @param {string} tagName - Custom element name (must contain a dash).
+   * @param {Object} [options]
+   * @param {string|HTMLTemplateElement|Function} [options.template=''] - Markup, a `<template>`,
+   *   or `(el) => markup`.
+   * @param {string} [options.styles] - CSS placed in a `<style>` before the template.
+   * @param {boolean} [options.shadow=true] - Render into a shadow root; `false` replaces the
+   *   element's children (when a template is given) and binds the light DOM.
+   * @param {string|Function} [options.scope] - Store path of the element's state, or `(el) => path`.
+   * @param {Object|Function} [options.state] - Initial local state, or `(el) => state`.
+   * @param {Object<string, string>} [options.attributes={}] - Attribute names mapped to state paths.
+   * @param {Function} [options.connected] - `(el, context) => cleanup`.
+   * @returns {Function|undefined} - The element class.
+   */
+  store.defineElement = (tagName, { template = '', styles, shadow = true, scope, state: localState, attributes = {}, connected } = {}) => {
+    if (!hasDocument() || typeof customElements === 'undefined') return undefined;
+    const views = new WeakMap();
+    const instances = new Set();
+    let active = true;
+    const scopeOf = el => (typeof scope === 'function' ? scope(el) : scope) || '';
+    const resolve = (el, rel) => (scopeOf(el) ? scopePath(rel, scopeOf(el)) : rel);
 
     /**
-     * Binds a state key to DOM elements matching selector.
-     * @param {string} key - State key to bind.
-     * @param {string} selector - DOM selector.
+     * Renders an element's template once, remembering the root and its scoped directives.
+     * @param {HTMLElement} el - The element.
+     * @returns {{root: Element|ShadowRoot, row: Object|null, cleanup: *}}
      */
-    bind: (key, selector) => {
-      if (!bindings.has(key)) bindings.set(key, new Set());
-      document.querySelectorAll(selector).forEach(el => {
-        bindings.get(key).add(el);
-        renderBoundValue(el, key);
-      });
-    },
+    const render = (el) => {
+      const root = shadow ? el.shadowRoot ?? el.attachShadow({ mode: 'open' }) : el;
+      const markup = typeof template === 'function' ? template(el) : template;
+      if (markup instanceof HTMLTemplateElement) root.replaceChildren(markup.content.cloneNode(true));
+      else if (markup) root.innerHTML = markup;
+      if (styles) root.prepend(Object.assign(el.ownerDocument.createElement('style'), { textContent: styles }));
+      return { root, row: null, cleanup: null };
+    };
 
     /**
-     * Automatically binds elements with `data-model` and `data-bind` attributes.
-     * Also syncs with localStorage if specified via `data-sync`.
+     * Releases an element's bindings and runs the cleanup returned by `connected`.
+     * @param {HTMLElement} el - The element.
      */
-    autoBind: () => {
-      const allModels = new Set();
-
-      document.querySelectorAll('[data-model]').forEach(el => {
-        const path = el.dataset.model;
-        if (!path) return;
-
-        store.bind(path, `[data-model="${path}"]`);
-        allModels.add(path);
-
-        if (el.dataset.modelBound) return;
-        el.dataset.modelBound = 'true';
+    const release = (el) => {
+      const view = views.get(el);
+      if (!view || !instances.delete(el)) return;
+      unbindElements(selectDeep(view.root));
+      if (typeof view.cleanup === 'function') view.cleanup();
+      view.cleanup = null;
+    };
 
-        const eventType = el.tagName === 'SELECT' || el.tagName === 'INPUT' ? 'input' : 'change';
+    class StoreElement extends HTMLElement {
+      static get observedAttributes() {
+        return Object.keys(attributes);
+      }
 
-        el.addEventListener(eventType, () => {
-          const value = el.value;
-          const prevVal = getAtPath(state, path);
-          if (prevVal !== value) {
-            setAtPath(state, path, value);
-            store.dispatch(`set-${path}`, value, { skipHistory: true });
+      attributeChangedCallback(name, oldValue, value) {
+        if (!active || oldValue === value) return;
+        const path = resolve(this, attributes[name]);
+        store.dispatch(`set-${path}`, value === null ? null : coerce(path, value), { skipHistory: true });
+      }
 
-            if (el.dataset.sync === 'localStorage') {
-              storageDriver.setItem(path, value);
-            }
+      connectedCallback() {
+        if (!active) return;
+        if (!views.has(this)) views.set(this, render(this));
+        const view = views.get(this);
+        const path = scopeOf(this);
+        if (path && !view.row) view.row = makeRow([...view.root.childNodes], path);
+        else if (path && view.row.prefix !== path) scopeRow(view.row, path);
+
+        if (path && localState !== undefined) {
+          const initial = typeof localState === 'function' ? localState(this) : structuredClone(localState);
+          const current = getAtPath(state, path);
+          if (current === undefined) {
+            store.dispatch(`set-${path}`, initial, { skipHistory: true });
+          } else if (isPlainObject(initial) && isPlainObject(current)) {
+            const missing = Object.fromEntries(Object.entries(initial).filter(([key]) => !(key in current)));
+            if (Object.keys(missing).length) store.dispatch(`merge-${path}`, missing, { skipHistory: true });
           }
-        });
+        }
 
-        // Load initial value from localStorage
-        if (el.dataset.sync === 'localStorage') {
-          const saved = storageDriver.getItem(path);
-          if (saved !== null) {
-            store.dispatch(`set-${path}`, saved);
-            el.value = saved;
+        scanBindings(view.root);
+        instances.add(this);
+        view.cleanup = connected?.(this, {
+          root: view.root,
+          path,
+          get: rel => store.get(resolve(this, rel)),
+          dispatch: (type, payload, options) => {
+            const mutation = path && !type.includes('/') && parseMutation(type);
+            return store.dispatch(mutation ? `${mutation.verb}-${scopePath(mutation.path, path)}` : type, payload, options);
           }
-          store.watchPath(path, val => storageDriver.setItem(path, val));
-        }
-      });
+        });
+      }
 
-      document.querySelectorAll('[data-bind]').forEach(el => {
-        const path = el.dataset.bind;
-        if (!path || allModels.has(path)) return;
-        store.bind(path, `[data-bind="${path}"]`);
-      });
-    },
+      disconnectedCallback() {
+        release(this);
+      }
+    }
 
-    /**
-     * One-way reactive link from another store's key.
-     * @param {object} otherStore - External store.
-     * @param {string} key - Key in the other store.
-     * @param {Function} [transformFn] - Optional transform.
-     */
-    link: (otherStore, key, transformFn) => {
-      otherStore.watch(key, (val) => {
-        const newVal = typeof transformFn === 'function' ? transformFn(val) : val;
-        store.dispatch(`set-${key}`, newVal);
-      });
-    },
+    customElements.define(tagName, StoreElement);
+    trackTeardown(() => {
+      active = false;
+      instances.forEach(release);
+    });
+    return StoreElement;
+  };
 
-    /**
-     * Two-way sync between this store and another store.
-     * @param {object} otherStore - External store.
-     * @param {string} key - Shared key.
-     * @param {Function} [transformFn] - Forward transform.
-     * @param {Function} [reverseFn] - Reverse transform.
-     */
-    linkTwoWay: (otherStore, key, transformFn, reverseFn) => {
-      let locked = false;
+  /**
+   * Tears the store down: removes DOM listeners and bindings, links, observers, the dev panel
+   * and its keyboard handler, the global exposure and all subscribers, and aborts running effects.
+   * The state itself stays readable.
+   */
+  store.destroy = () => {
+    teardowns.forEach(teardown => teardown());
+    const elements = new Set(hasDocument() ? selectDeep(document) : []);
+    bindings.forEach(bound => bound.forEach(el => elements.add(el)));
+    unbindElements(elements);
+    effectHandlers.forEach(effect => effect.runs.forEach(run => run.abort()));
+    effectHandlers.clear();
+    listeners.clear();
+    watchAllFns.clear();
+    watchers.clear();
+    selections.clear();
+    bindings.clear();
+  };
 
-      const updateFromOther = (val) => {
-        if (locked) return;
-        locked = true;
-        const newVal = typeof transformFn === 'function' ? transformFn(val) : val;
-        store.dispatch(`set-${key}`, newVal);
-        locked = false;
-      };
+  /**
+   * Checks whether a path falls under a history `exclude` pattern. `*` matches one segment
+   * and a pattern covers its whole subtree (`ui.*` and `ui` both exclude `ui.menu.open`).
+   * @param {string} path - Dot path.
+   * @param {string} pattern - Exclude pattern.
+   * @returns {boolean}
+   */
+  const matchesPattern = (path, pattern) => {
+    const segments = pattern.replace(/\.\*$/, '').split('.');
+    const keys = path.split('.');
+    return segments.length <= keys.length && segments.every((segment, i) => segment === '*' || segment === keys[i]);
+  };
 
-      const updateFromThis = (val) => {
-        if (locked) return;
-        locked = true;
-        const newVal = typeof reverseFn === 'function' ? reverseFn(val) : val;
-        otherStore.dispatch(`set-${key}`, newVal);
-        locked = false;
-      };
+  /**
+   * Lists the concrete paths matching a pattern's segments that exist in an object.
+   * @param {*} obj - Object to search.
+   * @param {string[]} segments - Pattern segments (`*` matches any key).
+   * @param {string[]} [prefix=[]] - Keys walked so far.
+   * @returns {string[]}
+   */
+  const expandPattern = (obj, segments, prefix = []) => {
+    if (!segments.length) return [prefix.join('.')];
+    if (obj === null || typeof obj !== 'object') return [];
+    const [head, ...rest] = segments;
+    const keys = head === '*' ? Object.keys(obj) : head in obj ? [head] : [];
+    return keys.flatMap(key => expandPattern(obj[key], rest, [...prefix, key]));
+  };
 
-      otherStore.watch(key, updateFromOther);
-      store.watch(key, updateFromThis);
-    },
+  /**
+   * Undo timelines: the global one, recording the whole state, and one per scope created with
+   * `history.scope(path)`, recording just that subtree. Each entry holds the JSON Patch that
+   * leads to it from the previous entry and its inverse, a label, the action type, a group key
+   * and a time. The first entry is the starting point and has no patches.
+   * @typedef {{path: string, entries: Object[], index: number, mergeable: boolean}} Timeline
+   */
 
-    /**
-     * Performs scoped DOM binding for a specific container.
-     * Useful for dynamically inserted components.
-     * @param {Element} container - DOM element to scan for bindings.
-     */
-    bindAll: (container) => {
-      const scoped = (selector) => container.querySelectorAll(selector);
-      const allModels = new Set();
+  /**
+   * Creates a timeline starting at the current state.
+   * @param {string} [path=''] - Recorded subtree; the whole state when empty.
+   * @returns {Timeline}
+   */
+  const createTimeline = (path = '') => ({
+    path,
+    entries: [{ patches: [], inversePatches: [], label: 'init', type: 'init', group: null, time: Date.now() }],
+    index: 0,
+    mergeable: false
+  });
 
-      scoped('[data-model]').forEach(el => {
-        const path = el.dataset.model;
-        if (!path) return;
+  /**
+   * Diffs what a timeline records between two root states, leaving out excluded paths.
+   * @param {Timeline} tl - Timeline.
+   * @param {Object} prevRoot - Root state before the change.
+   * @param {Object} nextRoot - Root state after the change.
+   * @returns {Object[]} - JSON Patch operations.
+   */
+  const diffTimeline = (tl, prevRoot, nextRoot) => {
+    const segments = tl.path ? tl.path.split('.') : [];
+    const pick = root => (tl.path ? getAtPath(root, tl.path) : root);
+    return diffPatches(pick(prevRoot), pick(nextRoot), segments).filter(({ path }) => {
+      const dotPath = fromPointer(path).join('.');
+      return !historyExclude.some(pattern => matchesPattern(dotPath, pattern));
+    });
+  };
 
-        store.bind(path, `[data-model="${path}"]`);
-        allModels.add(path);
+  const timeline = createTimeline();
+  /**
+   * Scoped timelines keyed by subtree path.
+   * @type {Map<string, Timeline>}
+   */
+  const scopedTimelines = new Map();
 
-        if (el.dataset.modelBound) return;
-        el.dataset.modelBound = 'true';
+  /**
+   * Recomputes `$history` and refreshes whatever is bound to or watching it.
+   */
+  const refreshHistoryState = () => {
+    const summarize = (tl) => ({
+      canUndo: tl.index > 0,
+      canRedo: tl.index < tl.entries.length - 1,
+      index: tl.index,
+      length: tl.entries.length
+    });
+    const next = { ...summarize(timeline), scopes: {} };
+    scopedTimelines.forEach((tl, path) => writeAtPath(next.scopes, path, () => summarize(tl)));
+    const changes = [];
+    historyState = reconcile(historyState, next, '$history', changes);
+    if (!changes.length) return;
+    touchPaths(...changes);
+    runWatchers(changes);
+  };
 
-        const eventType = el.tagName === 'SELECT' || el.tagName === 'INPUT' ? 'input' : 'change';
+  /**
+   * Records a change in a timeline as patches, unless it only touched excluded paths or
+   * paths outside the timeline's scope. The entry is merged into the previous one when both
+   * carry the same group key (e.g. edits of one form field), or have the same type within
+   * `groupWithin` ms.
+   * @param {Timeline} tl - Timeline.
+   * @param {Object} prevRoot - Root state before the change.
+   * @param {{type: string, label: string, group: string}} meta - Entry details.
+   */
+  const recordTimeline = (tl, prevRoot, { type, label, group }) => {
+    const patches = diffTimeline(tl, prevRoot, state);
+    if (!patches.length) return;
+    const inversePatches = diffTimeline(tl, state, prevRoot);
+    const now = Date.now();
+    const last = tl.entries[tl.index];
+    const recent = !groupWithin || now - last.time <= groupWithin;
+    const merge = tl.mergeable && tl.index > 0 && recent
+      && (group ? last.group === group : Boolean(groupWithin) && !last.group && last.type === type);
+    tl.entries.splice(tl.index + 1);
+    if (merge) {
+      Object.assign(last, {
+        patches: [...last.patches, ...patches],
+        inversePatches: [...inversePatches, ...last.inversePatches],
+        time: now
+      });
+    } else {
+      tl.entries.push({ patches, inversePatches, label: label || type, type, group: group || null, time: now });
+      tl.index++;
+    }
+    const excess = tl.entries.length - Math.max(historyLimit, 1);
+    if (excess > 0) {
+      tl.entries.splice(0, excess);
+      tl.index -= excess;
+      Object.assign(tl.entries[0], { patches: [], inversePatches: [] });
+    }
+    tl.mergeable = true;
+  };
 
-        el.addEventListener(eventType, () => {
-          const value = el.value;
-          const prevVal = getAtPath(state, path);
-          if (prevVal !== value) {
-            setAtPath(state, path, value);
-            store.dispatch(`set-${path}`, value);
-            if (el.dataset.sync === 'localStorage') {
-              storageDriver.setItem(path, value);
-            }
-          }
-        });
+  /**
+   * Records a change in every timeline except `skip`.
+   * @param {Object} prevRoot - Root state before the change.
+   * @param {{type: string, label?: string, group?: string}} meta - Entry details.
+   * @param {Timeline} [skip] - Timeline that produced the change.
+   */
+  const recordHistory = (prevRoot, meta, skip) => {
+    [timeline, ...scopedTimelines.values()].forEach(tl => tl !== skip && recordTimeline(tl, prevRoot, meta));
+    refreshHistoryState();
+    devPanelUpdate?.();
+  };
 
-        if (el.dataset.sync === 'localStorage') {
-          const saved = storageDriver.getItem(path);
-          if (saved !== null) {
-            store.dispatch(`set-${path}`, saved);
-            el.value = saved;
-          }
-          store.watchPath(path, val => storageDriver.setItem(path, val));
-        }
+  /**
+   * Moves a timeline to an entry by applying the inverse patches of the entries undone, or the
+   * patches of the entries redone. Excluded paths keep their live values. The restore is recorded
+   * as a new entry in the other timelines (a global undo is a change for a scope and vice versa).
+   * Triggers reactive updates.
+   * @param {Timeline} tl - Timeline.
+   * @param {number} index - Entry index.
+   */
+  const applyTimeline = (tl, index) => {
+    const steps = index < tl.index
+      ? tl.entries.slice(index + 1, tl.index + 1).reverse().flatMap(entry => entry.inversePatches)
+      : tl.entries.slice(tl.index + 1, index + 1).flatMap(entry => entry.patches);
+    const next = applyPatchOps({ ...state }, steps);
+    historyExclude.forEach(pattern => {
+      const segments = pattern.replace(/\.\*$/, '').split('.');
+      new Set([...expandPattern(state, segments), ...expandPattern(next, segments)]).forEach(path => {
+        const live = getAtPath(state, path);
+        writeAtPath(next, path, () => (live === undefined ? REMOVE : live));
       });
+    });
+    const prevState = { ...state };
+    const changes = commitState(next);
+    tl.index = index;
+    tl.mergeable = false;
+    recordHistory(prevState, { type: 'history-jump', label: `${tl.path ? `${tl.path}: ` : ''}${tl.entries[index].label}` }, tl);
+    // Entries recording a restore are never merged into
+    [timeline, ...scopedTimelines.values()].forEach(other => {
+      other.mergeable = false;
+    });
+    notify('history-jump', state, changes, prevState);
+  };
 
-      scoped('[data-bind]').forEach(el => {
-        const path = el.dataset.bind;
-        if (!path || allModels.has(path)) return;
-        store.bind(path, `[data-bind="${path}"]`);
-      });
+  /**
+   * Builds the undo/redo API of a timeline.
+   * @param {Timeline} tl - Timeline.
+   * @returns {Object} - `{ undo, redo, jumpTo, canUndo, canRedo, entries, clear }`.
+   */
+  const timelineApi = (tl) => ({
+    /**
+     * Undo the last recorded change, if available.
+     * @returns {boolean} Whether undo was performed.
+     */
+    undo: () => {
+      if (tl.index <= 0) return false;
+      applyTimeline(tl, tl.index - 1);
+      return true;
+    },
+    /**
+     * Redo a previously undone change, if available.
+     * @returns {boolean} Whether redo was performed.
+     */
+    redo: () => {
+      if (tl.index >= tl.entries.length - 1) return false;
+      applyTimeline(tl, tl.index + 1);
+      return true;
+    },
+    /**
+     * Restores the entry at an index.
+     * @param {number} index - Entry index.
+     */
+    jumpTo: (index) => {
+      if (Number.isInteger(index) && index >= 0 && index < tl.entries.length) applyTimeline(tl, index);
     },
+    /** @returns {boolean} */
+    canUndo: () => tl.index > 0,
+    /** @returns {boolean} */
+    canRedo: () => tl.index < tl.entries.length - 1,
+    /**
+     * Lists the entries, oldest first.
+     * @returns {{label: string, time: number, current: boolean}[]}
+     */
+    entries: () => tl.entries.map(({ label, time }, i) => ({ label, time, current: i === tl.index })),
+    /**
+     * Drops every entry, keeping the current state as the new starting point.
+     */
+    clear: () => {
+      Object.assign(tl, createTimeline(tl.path));
+      refreshHistoryState();
+      devPanelUpdate?.();
+    }
+  });
+
+  const globalHistory = timelineApi(timeline);
+  let batchLabel = null;
+
+  /**
+   * Undo history. Besides the undo/redo API of the global timeline it offers:
+   * - `group(label, fn)`: runs `fn` as a batch recorded as one entry with the given label
+   * - `scope(path)`: an independent undo/redo API for a subtree, e.g. an editor whose undo
+   *   must not roll back the rest of the page
+   */
+  store.history = {
+    ...globalHistory,
 
     /**
-     * Links a nested path from another store to a flat key in this one.
-     * @param {object} otherStore - Source store.
-     * @param {string} fromPath - Dot path in source state.
-     * @param {string} toKey - Key in this store to receive the value.
-     * @param {Function} [transformFn] - Optional value transformer.
+     * Runs `fn` as a batch recorded as a single, labelled history entry.
+     * @param {string} label - Entry label.
+     * @param {Function} fn - Synchronous callback performing dispatches.
+     * @returns {*} - The callback's return value.
      */
-    linkPath: (otherStore, fromPath, toKey, transformFn) => {
-      otherStore.watchAll((next) => {
-        const val = getAtPath(next, fromPath);
-        if (val !== undefined) {
-          const mapped = transformFn ? transformFn(val) : val;
-          store.dispatch(`set-${toKey}`, mapped);
-        }
-      });
+    group: (label, fn) => {
+      if (!batchDepth) batchLabel = label;
+      try {
+        return store.batch(fn, 'history-group');
+      } finally {
+        if (!batchDepth) batchLabel = null;
+      }
     },
 
     /**
-     * Watches changes at a nested path in the state.
-     * @param {string} path - Dot-separated key path.
-     * @param {Function} fn - Callback with new value.
+     * Returns the undo/redo API of a subtree, creating its timeline on first use.
+     * Its availability is bindable at `$history.scopes.<path>.canUndo` / `.canRedo`.
+     * @param {string} path - Dot path of the subtree.
+     * @returns {Object} - `{ undo, redo, jumpTo, canUndo, canRedo, entries, clear }`.
      */
-    watchPath: (path, fn) => {
-      let prev = structuredClone(getAtPath(state, path));
-      return store.subscribe(() => {
-        const next = getAtPath(state, path);
-        const changed = typeof next === 'object' && next !== null
-          ? JSON.stringify(next) !== JSON.stringify(prev)
-          : next !== prev;
-        if (changed) {
-          prev = structuredClone(next);
-          fn(next);
-        }
-      });
+    scope: (path) => {
+      if (!scopedTimelines.has(path)) {
+        scopedTimelines.set(path, createTimeline(path));
+        refreshHistoryState();
+      }
+      return timelineApi(scopedTimelines.get(path));
     }
   };
 
+  store.undo = globalHistory.undo;
+  store.redo = globalHistory.redo;
+  store.jumpTo = globalHistory.jumpTo;
+
+  /** Dev helper: expose the full history (entries with their patches) */
+  store.__getHistory = () => structuredClone(timeline.entries);
+  refreshHistoryState();
+
+  // Dispatches that changed the state are recorded, unless `skipHistory` is passed
+  recordDispatch = recordHistory;
+
   /**
-   * Renders a single DOM element's textContent based on store value and format.
-   * Supports formatting (uppercase, currency, etc.) and prefix/suffix.
-   * @param {HTMLElement} el - The element to update.
-   * @param {string} key - Store key to render.
+   * Applies JSON Patch (RFC 6902) operations, e.g. ones received from `subscribe` elsewhere,
+   * persisted or recorded. Goes through `dispatch` as an `apply-patches` action, so middleware,
+   * validation, listeners and history see it like any other update.
+   * @param {Object[]} patches - Operations (`add`, `remove`, `replace`, `move`, `copy`, `test`).
+   * @param {Object} [options] - Dispatch options (e.g. `skipHistory`).
+   * @returns {*} - Whatever `dispatch` returns.
+   * @throws {Error} - When a `test` operation fails; nothing is applied then.
    */
-  const renderBoundValue = (el, key) => {
-    let val = state[key] ?? '';
+  store.applyPatches = (patches, options) => store.dispatch('apply-patches', patches, options);
 
-    if (el.dataset.format === 'uppercase') val = String(val).toUpperCase();
-    else if (el.dataset.format === 'lowercase') val = String(val).toLowerCase();
-    else if (el.dataset.format === 'currency') val = `$${parseFloat(val).toFixed(2)}`;
-    else if (el.dataset.format === 'percent') val = `${parseFloat(val) * 100}%`;
-    else if (el.dataset.format === 'iso-date') val = new Date(val).toISOString();
+  /**
+   * Runs `fn` with all dispatches coalesced: state changes apply immediately, but bindings,
+   * storage writes, listeners and history are updated once when the outermost batch ends.
+   * If `fn` throws, every change made inside it is rolled back and the error is rethrown.
+   * @param {Function} fn - Synchronous callback performing dispatches.
+   * @param {string} [type='batch'] - Action type used for the single notification.
+   * @returns {*} - The callback's return value.
+   */
+  store.batch = (fn, type = 'batch') => {
+    const snapshot = { ...state };
+    const actionsBefore = pendingActions.length;
+    const pathsBefore = new Set(pendingPaths);
+    if (activeRecording && !batchDepth && !recordDepth) batchStep = recordStep({ kind: 'batch', type, actions: [] });
+    const recordedBefore = batchStep?.actions.length;
+    batchDepth++;
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      replaceState(snapshot);
+      invalidateComputed();
+      pendingActions.splice(actionsBefore);
+      pendingPaths.clear();
+      pathsBefore.forEach(p => pendingPaths.add(p));
+      discardBatchStep(recordedBefore);
+      throw err;
+    } finally {
+      batchDepth--;
+    }
+    if (batchDepth) return result;
+
+    const paths = [...pendingPaths];
+    const actions = pendingActions.splice(0);
+    pendingPaths.clear();
+    if (paths.length) {
+      updateBindings(...paths);
+      persistPaths(...paths);
+    }
+    // Recorded before listeners run, like a single dispatch
+    if (paths.length) recordHistory(snapshot, { type, label: batchLabel });
+    recordDepth++;
+    try {
+      if (actions.length) notify(type, actions, paths, snapshot);
+    } finally {
+      recordDepth--;
+    }
+    if (batchStep) sealStep(batchStep);
+    batchStep = null;
+    return result;
+  };
 
-    const prefix = el.dataset.prefix || '';
-    const suffix = el.dataset.suffix || '';
+  /**
+   * Alias of `batch`, reading better when rollback on error is the point.
+   */
+  store.transaction = store.batch;
 
-    el.textContent = `${prefix}${val}${suffix}`;
+  /**
+   * Registered middleware in registration order; the first one sees actions first.
+   * Each entry keeps the handler returned by `middleware(api)` so setup runs once.
+   * @type {{handler: Function}[]}
+   */
+  const middlewares = [];
+  const historyDispatch = store.dispatch;
+  const middlewareApi = {
+    getState: () => store.getState(),
+    dispatch: (...args) => store.dispatch(...args)
   };
-
   /**
-   * Updates all bound elements for a specific key.
-   * @param {string} key - Store key whose bound DOM elements should update.
+   * Runs an action past the middleware. While recording, top-level actions are logged (those in
+   * a batch join the batch's step); actions dispatched while one is running are not, as replaying
+   * the outer one re-triggers them.
+   * @param {{type: string, payload: *, options: Object}} action - Action.
+   * @returns {*} - Whatever `dispatch` returns.
    */
-  const updateBindings = (key) => {
-    const elements = bindings.get(key);
-    if (!elements) return;
-    elements.forEach(el => renderBoundValue(el, key));
+  const coreDispatch = ({ type, payload, options = {} }) => {
+    if (!activeRecording || recordDepth) return historyDispatch(type, payload, options);
+    let step = null;
+    if (batchDepth) batchStep?.actions.push({ type, payload, options });
+    else step = recordStep({ kind: 'dispatch', type, payload, options });
+    recordDepth++;
+    try {
+      return historyDispatch(type, payload, options);
+    } finally {
+      recordDepth--;
+      if (step) sealStep(step);
+    }
   };
+  let runMiddleware = coreDispatch;
 
   /**
-   * Exposes the store globally as `window.{name}Store` and logs via `{name}State()`.
+   * Recomposes the middleware chain so each handler's `next` points to the one after it,
+   * ending in the mutation/notify/history dispatch.
    */
-  if (name) {
-    window[`${name}Store`] = store;
-    window[`${name}State`] = () => console.log(`🧠 ${name}Store snapshot`, store.getState());
-  }
+  const rebuildMiddleware = () => {
+    runMiddleware = middlewares.reduceRight((next, { handler }) => handler(next), coreDispatch);
+  };
 
-  /** @type {Object[]} */
-  const __history = [structuredClone(state)];
-  let __historyIndex = 0;
+  /**
+   * Dispatches an action through the middleware pipeline.
+   * Accepts `(type, payload, options)` or a single `{ type, payload, options }` action object.
+   * @param {string|Object} type - The action type or an action object.
+   * @param {*} [payload] - The new value or event data.
+   * @param {Object} [options] - Dispatch options (e.g. `skipHistory`).
+   * @returns {*} - Whatever the outermost middleware returns.
+   */
+  store.dispatch = (type, payload, options = {}) => {
+    const action = type !== null && typeof type === 'object' ? type : { type, payload, options };
+    return runMiddleware(action);
+  };
 
   /**
-   * Saves a new snapshot in history, pruning forward stack.
-   * Called internally after successful state-changing dispatch.
+   * Adds a Redux-style middleware: `api => next => action`.
+   * `api` exposes `getState` and `dispatch` (which re-enters the full pipeline).
+   * A middleware may inspect or log the action, pass a modified copy to `next`,
+   * skip `next` to cancel it, or call `next` later to delay it.
+   * Middleware run in registration order.
+   * @param {Function} middleware - Middleware factory.
+   * @returns {Function} - Removes the middleware.
    */
-  const pushHistory = () => {
-    const snapshot = structuredClone(state);
-    __history.splice(__historyIndex + 1);
-    __history.push(snapshot);
-    __historyIndex++;
+  store.use = (middleware) => {
+    if (typeof middleware !== 'function') throw new TypeError('Middleware must be a function');
+    const entry = { handler: middleware(middlewareApi) };
+    middlewares.push(entry);
+    rebuildMiddleware();
+    return () => {
+      const index = middlewares.indexOf(entry);
+      if (index === -1) return;
+      middlewares.splice(index, 1);
+      rebuildMiddleware();
+    };
   };
 
   /**
-   * Replaces internal state with a past snapshot.
-   * Triggers reactive updates.
-   * @param {number} index - Index in the history stack.
+   * Appends a step to the active recording, stamped with its time since the recording started.
+   * @param {Object} step - Step without time.
+   * @returns {Object} - The step.
    */
-  const applyHistory = (index) => {
-    if (index < 0 || index >= __history.length) return;
-    Object.keys(state).forEach(k => delete state[k]);
-    Object.assign(state, structuredClone(__history[index]));
-    listeners.forEach(fn => fn({ type: 'history-jump', payload: state }));
-    watchAllFns.forEach(fn => fn(state, state));
-    if (typeof window.__storeDebugUpdate === 'function') window.__storeDebugUpdate();
+  const recordStep = (step) => {
+    step.time = Date.now() - activeRecording.startedAt;
+    activeRecording.steps.push(step);
+    return step;
   };
 
   /**
-   * Undo the last state mutation, if available.
-   * @returns {boolean} Whether undo was performed.
+   * Stores the state checksum (and, with `snapshots`, a copy of the state) after a step.
+   * @param {Object} step - Recorded step.
    */
-  store.undo = () => {
-    if (__historyIndex <= 0) return false;
-    __historyIndex--;
-    applyHistory(__historyIndex);
-    return true;
+  const sealStep = (step) => {
+    if (!activeRecording) return;
+    step.checksum = checksum(state);
+    if (activeRecording.snapshots) step.state = structuredClone(state);
   };
 
   /**
-   * Redo a previously undone mutation, if available.
-   * @returns {boolean} Whether redo was performed.
+   * Forgets the actions of a batch that rolled back, or the whole step for the outermost batch.
+   * @param {number} [keep] - Number of batch actions recorded before the failing batch started.
    */
-  store.redo = () => {
-    if (__historyIndex >= __history.length - 1) return false;
-    __historyIndex++;
-    applyHistory(__historyIndex);
-    return true;
+  const discardBatchStep = (keep) => {
+    if (!batchStep) return;
+    batchStep.actions.splice(keep);
+    if (batchDepth > 1) return;
+    activeRecording?.steps.splice(activeRecording.steps.indexOf(batchStep), 1);
+    batchStep = null;
   };
 
-  /** Dev helper: expose full history array */
-  store.__getHistory = () => structuredClone(__history);
+  /**
+   * Applies a recorded step without recording it or running effects. Dispatch steps skip
+   * the middleware, which already ran when they were recorded.
+   * @param {Object} step - Recorded step.
+   */
+  const applyStep = (step) => {
+    replaying = true;
+    recordDepth++;
+    try {
+      if (step.kind === 'batch') {
+        store.batch(() => step.actions.forEach(({ type, payload, options }) => historyDispatch(type, payload, options)), step.type);
+      } else if (step.kind === 'patch') {
+        historyDispatch('apply-patches', step.patches);
+      } else {
+        historyDispatch(step.type, step.payload, step.options);
+      }
+    } finally {
+      recordDepth--;
+      replaying = false;
+    }
+  };
 
   /**
-   * Jump to history index
-   * @param {number} index
+   * Records dispatched actions with timestamps, starting from a copy of the state, and replays
+   * recordings step by step or at their original timing while checking for divergence.
+   * Recordings are plain JSON: payloads that do not survive `JSON.stringify` (functions,
+   * class instances) will not replay faithfully, which the divergence check reports.
    */
-  store.jumpTo = (index) => {
-    if (typeof index === 'number' && index >= 0 && index < __history.length) {
-      applyHistory(index);
-      __historyIndex = index;
+  store.recorder = {
+    /**
+     * Starts a new recording from the current state.
+     * @param {Object} [options]
+     * @param {boolean} [options.snapshots=false] - Also keep a copy of the state after each
+     *   step, so divergence reports include the differing patches.
+     */
+    start: ({ snapshots = false } = {}) => {
+      activeRecording = {
+        version: 1,
+        startedAt: Date.now(),
+        initialState: structuredClone(state),
+        snapshots,
+        steps: []
+      };
+    },
+
+    /**
+     * Stops recording.
+     * @returns {Object|null} - The recording.
+     */
+    stop: () => {
+      const recording = activeRecording;
+      activeRecording = null;
+      return recording;
+    },
+
+    /** @returns {boolean} Whether a recording is running. */
+    isRecording: () => Boolean(activeRecording),
+
+    /**
+     * Serializes a recording (the running one by default) to JSON, e.g. to attach to a ticket.
+     * @param {Object} [recording] - Recording returned by `stop()`.
+     * @returns {string} - JSON.
+     */
+    export: (recording = activeRecording) => JSON.stringify(recording),
+
+    /**
+     * Parses an exported recording.
+     * @param {string} json - Output of `export()`.
+     * @returns {Object} - The recording.
+     */
+    import: (json) => {
+      const recording = typeof json === 'string' ? JSON.parse(json) : json;
+      if (!recording || !Array.isArray(recording.steps)) throw new TypeError('Not a store recording');
+      return recording;
+    },
+
+    /**
+     * Resets this store to a recording's initial state (clearing undo history, without running
+     * watchers) and returns a player for its steps. After each step the state is compared with
+     * the recorded checksum; the first mismatch is kept as `divergence` (with the differing
+     * patches when the recording has snapshots) and emitted as `replay-divergence`.
+     * @param {Object|string} recording - Recording or its JSON.
+     * @returns {Object} - Player `{ step(), play(options), stop(), index, done, divergence }`.
+     */
+    replay: (recording) => {
+      const { initialState: recordedState, steps } = store.recorder.import(recording);
+      // Watchers only take in the reset without running, so they cannot add to the recorded
+      // initial state but still fire when a step returns a value to its pre-replay state
+      const prevState = { ...state };
+      runWatchers(commitState(structuredClone(recordedState)), true);
+      notify('replay-start', { steps: steps.length }, [], prevState);
+      store.history.clear();
+      scopedTimelines.forEach(tl => timelineApi(tl).clear());
+      let stopped = false;
+
+      const player = {
+        index: 0,
+        done: steps.length === 0,
+        divergence: null,
+
+        /**
+         * Applies the next step.
+         * @returns {boolean} - Whether the state still matches the recording.
+         */
+        step: () => {
+          if (player.done) return !player.divergence;
+          const step = steps[player.index];
+          applyStep(step);
+          player.index++;
+          player.done = player.index >= steps.length;
+          if (step.checksum && !player.divergence && checksum(state) !== step.checksum) {
+            player.divergence = {
+              index: player.index - 1,
+              type: step.type,
+              patches: step.state ? diffPatches(step.state, structuredClone(state)) : undefined
+            };
+            notify('replay-divergence', player.divergence);
+          }
+          return !player.divergence;
+        },
+
+        /**
+         * Plays the remaining steps, immediately or at their recorded timing.
+         * @param {Object} [options]
+         * @param {boolean} [options.realtime=false] - Wait between steps as long as recorded.
+         * @param {number} [options.speed=1] - Timing multiplier for realtime playback.
+         * @param {boolean} [options.stopOnDivergence=false] - Stop at the first divergence.
+         * @returns {Promise<Object>} - Resolves with `{ index, done, divergence }`.
+         */
+        play: async ({ realtime = false, speed = 1, stopOnDivergence = false } = {}) => {
+          stopped = false;
+          while (!player.done && !stopped) {
+            if (realtime) {
+              const wait = steps[player.index].time - (steps[player.index - 1]?.time ?? 0);
+              await new Promise(resolve => setTimeout(resolve, Math.max(0, wait / speed)));
+              if (stopped) break;
+            }
+            if (!player.step() && stopOnDivergence) break;
+          }
+          const { index, done, divergence } = player;
+          return { index, done, divergence };
+        },
+
+        /** Pauses a running `play()` after the current step. */
+        stop: () => {
+          stopped = true;
+        }
+      };
+      return player;
     }
   };
-  pushHistory();
 
-  // Hook into dispatch: push to history only if state mutated, with option to skip history pushes
-  const originalDispatch = store.dispatch.bind(store);
-  let refreshHistoryDropdown;
-  store.dispatch = (type, payload, options = {}) => {
-    const prev = structuredClone(state);
-    originalDispatch(type, payload);
-
-    const changed = JSON.stringify(prev) !== JSON.stringify(state);
-    if (changed && !options.skipHistory) {
-      pushHistory();
-      if (typeof refreshHistoryDropdown === 'function') refreshHistoryDropdown();
-    }
-  };
-
-  if (enableDevPanel && typeof window !== 'undefined') {
-    const panel = document.createElement('div');
-    panel.style = `
-      position:fixed;bottom:14px;right:0;z-index:9999;
-      font:12px monospace;max-width:600px;
-      background:#fff;border:1px solid #ccc;box-shadow:0 0 4px rgba(0,0,0,.25);
-      height:20px;
-    `;
-    panel.innerHTML = `
-    <div style="display:flex;justify-content:space-between;padding:4px 6px;background:#f5f5f5">
-      <strong style="margin-right: 15px;margin-top: 6.5px;">Store </strong>
-      <select class="form-select form-select-sm ms-auto" id="wfHistoryJump" style="width: auto;">
-        <option value="0">State #0</option>
-      </select>
-      <div class="d-flex gap-2 align-items-center">
-        <button class="btn btn-sm btn-outline-secondary" id="wfUndo">◀</button>
-        <button class="btn btn-sm btn-outline-secondary" id="wfRedo">▶</button>
-        <button class="btn btn-sm btn-outline-secondary" id="wfToggleStore">Show</button>
-      </div>
-    </div>
-    <div id="wfStoreControls" style="padding:4px 6px;display:flex;gap:4px">
-      <button class="btn btn-sm btn-outline-primary" id="wfStoreRefresh">Refresh</button>
-      <button class="btn btn-sm btn-outline-danger"  id="wfStoreClear">Clear</button>
-    </div>
-    <pre id="wfStoreDump" style="margin:0;padding:6px 6px 8px;height:140px;overflow:auto;display:none;"></pre>`;
-
-    document.body.appendChild(panel);
-
-    const $dump = document.getElementById('wfStoreDump');
-    const $toggle = document.getElementById('wfToggleStore');
-    const $refresh = document.getElementById('wfStoreRefresh');
-    const $clear = document.getElementById('wfStoreClear');
-    const $jump = document.getElementById('wfHistoryJump');
-    refreshHistoryDropdown = () => {
-      $jump.innerHTML = '';
-      store.__getHistory().forEach((_, i) => {
-        const opt = document.createElement('option');
-        opt.value = i;
-        opt.textContent = `State #${i}`;
-        if (i === __historyIndex) opt.selected = true;
-        $jump.appendChild(opt);
-      });
+  /**
+   * Connects the store to the Redux DevTools browser extension (`window.__REDUX_DEVTOOLS_EXTENSION__`).
+   * Every update is sent with the resulting state: top-level dispatches as `{ type, payload }`,
+   * actions dispatched while another runs (by a watcher, say) with `nested: true`, and changes made
+   * outside a dispatch (undo, effect results, storage loads, sync) with their `patches`.
+   * Messages from the extension are mapped back onto the store:
+   * - jump to state/action: `jumpTo` the history entry the action produced, then replace the state
+   *   with the extension's copy if they differ (e.g. the action skipped history)
+   * - toggle action: replays the later actions (dispatches are re-run with effects suppressed,
+   *   patches re-applied) as one undoable `devtools-toggle` entry
+   * - import: replaces the state with the imported one; commit, rollback and reset start over from
+   *   the current, last committed or initial state, clearing history
+   * - dispatch from the extension: `{ "type": ..., "payload": ... }` JSON or a bare action type
+   * Does nothing (and returns a no-op) without the extension.
+   * @param {Object} [options] - Options for the extension's `connect()`; `name` defaults to the store name.
+   * @returns {Function} - Disconnects.
+   */
+  store.connectDevTools = (options = {}) => {
+    const extension = globalThis.__REDUX_DEVTOOLS_EXTENSION__;
+    if (!extension) return () => { };
+    const devTools = extension.connect({ name, ...options });
+    const currentEntry = () => timeline.entries[timeline.index];
+    // History entry reached after each action, by extension action id (0 = initial state)
+    let actionEntries;
+    let nextActionId;
+    let applying = false;
+    let paused = false;
+    let depth = 0;
+
+    const start = () => {
+      devTools.init({ ...state });
+      actionEntries = new Map([[0, { entry: currentEntry() }]]);
+      nextActionId = 1;
     };
 
-    $jump.onchange = () => {
-      const index = parseInt($jump.value);
-      store.jumpTo(index);
-      refreshHistoryDropdown();
+    /**
+     * Updates the store on behalf of the extension, without echoing the changes back to it.
+     * @param {Function} fn - Performs the update.
+     */
+    const apply = (fn) => {
+      applying = true;
+      try {
+        fn();
+      } finally {
+        applying = false;
+      }
     };
-    let visible = false;
 
-    const repaint = () => {
-      $dump.textContent = JSON.stringify(store.getState(), null, 2);
+    /**
+     * Replaces the state with a copy from the extension, without recording history.
+     * @param {Object} next - Next state.
+     */
+    const setState = (next) => {
+      const patches = diffPatches({ ...state }, next);
+      if (patches.length) historyDispatch('apply-patches', patches, { skipHistory: true });
     };
-    window.__storeDebugUpdate = repaint;
 
-    $refresh.onclick = repaint;
-    $clear.onclick = () => {
-      // Clear local/session storage if used
-      for (const key of store.__syncKeys) {
-        try {
-          storageDriver.removeItem(key);
-        } catch { }
+    const restart = (next) => {
+      apply(() => setState(next));
+      store.history.clear();
+      scopedTimelines.forEach(tl => timelineApi(tl).clear());
+      start();
+    };
+
+    /**
+     * Recomputes the extension's lifted state with one action skipped or restored.
+     * @param {Object} lifted - Lifted state sent by the extension.
+     * @param {number} id - Toggled action id.
+     * @returns {Object} - Updated lifted state.
+     */
+    const toggleAction = (lifted, id) => {
+      const { actionsById, computedStates, skippedActionIds, stagedActionIds } = lifted;
+      const skipIndex = skippedActionIds.indexOf(id);
+      const from = stagedActionIds.indexOf(id);
+      if (from === -1) return lifted;
+      replaying = true;
+      try {
+        apply(() => store.batch(() => {
+          setState(computedStates[from - 1].state);
+          for (let i = from; i < stagedActionIds.length; i++) {
+            const actionId = stagedActionIds[i];
+            const skipped = actionId === id ? skipIndex === -1 : skippedActionIds.includes(actionId);
+            const { type, payload, patches, nested } = actionsById[actionId].action;
+            if (!skipped && patches) historyDispatch('apply-patches', patches);
+            else if (!skipped && !nested) historyDispatch(type, payload);
+            computedStates[i].state = { ...state };
+          }
+        }, 'devtools-toggle'));
+      } finally {
+        replaying = false;
       }
+      if (skipIndex === -1) skippedActionIds.push(id);
+      else skippedActionIds.splice(skipIndex, 1);
+      return lifted;
+    };
 
-      // Reset state to initial snapshot
-      Object.keys(state).forEach(k => delete state[k]);
-      Object.assign(state, structuredClone(initialState));
+    const onDispatch = (message) => {
+      const { type, id, actionId, nextLiftedState, status } = message.payload;
+      if (type === 'JUMP_TO_STATE' || type === 'JUMP_TO_ACTION') {
+        const index = timeline.entries.indexOf(actionEntries.get(actionId)?.entry);
+        apply(() => {
+          if (index !== -1) store.jumpTo(index);
+          setState(JSON.parse(message.state));
+        });
+      } else if (type === 'TOGGLE_ACTION') {
+        devTools.send(null, toggleAction(JSON.parse(message.state), id));
+        actionEntries.clear();
+      } else if (type === 'IMPORT_STATE') {
+        const { computedStates, currentStateIndex = computedStates.length - 1 } = nextLiftedState;
+        apply(() => setState(computedStates[currentStateIndex].state));
+        actionEntries.clear();
+        nextActionId = nextLiftedState.nextActionId ?? computedStates.length;
+        devTools.send(null, nextLiftedState);
+      } else if (type === 'COMMIT') {
+        restart({ ...state });
+      } else if (type === 'ROLLBACK') {
+        restart(JSON.parse(message.state));
+      } else if (type === 'RESET') {
+        restart(structuredClone(initialState));
+      } else if (type === 'PAUSE_RECORDING') {
+        paused = status;
+      }
+    };
 
-      // Clear and reinit history
-      __history.length = 0;
-      __history.push(structuredClone(state));
-      __historyIndex = 0;
+    const unsubscribeExtension = devTools.subscribe((message) => {
+      if (message.type === 'DISPATCH') onDispatch(message);
+      if (message.type !== 'ACTION') return;
+      let action = message.payload;
+      try {
+        action = JSON.parse(action);
+      } catch { }
+      store.dispatch(typeof action === 'string' ? { type: action } : action);
+    });
 
-      // Update all bound UI elements
-      for (const key of Object.keys(state)) {
-        updateBindings(key);
+    const removeMiddleware = store.use(() => next => (action) => {
+      depth++;
+      try {
+        return next(action);
+      } finally {
+        depth--;
       }
+    });
 
-      notify('devpanel-clear', structuredClone(state));
-      repaint();
-      refreshHistoryDropdown?.();
-    };
-    $toggle.onclick = () => {
-      visible = !visible;
-      panel.style.height = visible ? 'auto' : '20px';
-      $dump.style.display = visible ? 'block' : 'none';
-      $toggle.textContent = visible ? 'Hide' : 'Show';
-    };
+    const unsubscribe = store.subscribe(({ type, payload, patches }) => {
+      if (applying || paused) return;
+      const action = depth === 0 ? { type, payload, patches } : depth === 1 ? { type, payload } : { type, payload, nested: true };
+      // History is recorded before listeners run, so the entry is already current
+      actionEntries.set(nextActionId++, { entry: currentEntry() });
+      devTools.send(action, { ...state });
+    });
 
-    const $undo = document.getElementById('wfUndo');
-    const $redo = document.getElementById('wfRedo');
-    if ($undo) $undo.onclick = () => store.undo();
-    if ($redo) $redo.onclick = () => store.redo();
+    start();
+    return trackTeardown(() => {
+      unsubscribe();
+      removeMiddleware();
+      if (typeof unsubscribeExtension === 'function') unsubscribeExtension();
+      else devTools.unsubscribe?.();
+    });
+  };
 
-    window.addEventListener('keydown', (e) => {
-      const isMac = navigator.platform.toLowerCase().includes('mac');
-      const ctrlKey = isMac ? e.metaKey : e.ctrlKey;
-      if (ctrlKey && e.key.toLowerCase() === 'z') {
-        if (e.shiftKey) store.redo();
-        else store.undo();
-        e.preventDefault();
-      }
+  if (reduxDevTools) store.connectDevTools(reduxDevTools === true ? {} : reduxDevTools);
+
+  if (enableDevPanel && hasDocument()) {
+    const log = [];
+    let logId = 0;
+
+    // Measures each action through the whole pipeline; the log entry itself is added on notify
+    const removeTimer = store.use(() => next => (action) => {
+      const start = performance.now();
+      const from = logId;
+      const done = () => {
+        const entry = log.find(item => item.id > from && item.type === action.type && item.duration === undefined);
+        if (entry) entry.duration = performance.now() - start;
+        tab.onUpdate?.();
+      };
+      const result = next(action);
+      whenResolved(result, done);
+      return result;
+    });
+    const unsubscribe = store.subscribe(({ type, payload, patches, inversePatches }) => {
+      log.push({ id: ++logId, type, payload, patches, inversePatches, time: Date.now() });
+      if (log.length > 200) log.shift();
     });
 
-    repaint();
+    const tab = {
+      label: name,
+      log,
+      getState: () => state,
+      history: () => globalHistory.entries(),
+      jumpTo: index => store.jumpTo(index),
+      undo: () => store.undo(),
+      redo: () => store.redo(),
+      edit: (path, value) => store.dispatch(`set-${path}`, value),
+      inspect: () => ({
+        computed: [...computedFns].map(([key, { value, deps, dirty }]) => ({ key, value, deps: deps ? [...deps] : [], dirty })),
+        watchers: [...watchers].map(([path, set]) => ({ path, count: set.size })),
+        bindings: [...bindings].map(([path, set]) => ({ path, count: set.size })).filter(({ count }) => count),
+        effects: Object.entries(effectState).map(([type, { status }]) => ({ type, status }))
+      }),
+      clear: () => {
+        // Reset state to initial snapshot
+        const prevState = { ...state };
+        const changes = commitState(structuredClone(initialState));
+
+        // Clear local/session storage if used, once the reset's own writes have finished
+        store.flush().then(() => store.__syncKeys.forEach(key => {
+          try {
+            Promise.resolve(storageDriver.removeItem(key)).catch(error => reportStorageError('write', error, key));
+          } catch (error) {
+            reportStorageError('write', error, key);
+          }
+        }));
+
+        notify('devpanel-clear', structuredClone(state), changes, prevState);
+
+        // Clear and reinit history
+        globalHistory.clear();
+        scopedTimelines.forEach(tl => timelineApi(tl).clear());
+      }
+    };
+
+    devPanel ??= createDevPanel();
+    const removeTab = devPanel.add(tab);
+    devPanelUpdate = () => tab.onUpdate?.();
+    trackTeardown(() => {
+      removeTimer();
+      unsubscribe();
+      removeTab();
+      devPanelUpdate = null;
+    });
   }
 
   return store;